@@ -33,20 +33,34 @@
  * @property {string} target.setupScript.source load with `new Function` if supported
  * @property {string} target.setupScript.modulePath load with `import(...)` if supported
  * @property {string} target.setupScript.jsonpPath load with `<script src="...">`
+ * @property {AriaATCIData.TimingHints} [timing] times for this test's commands, replacing the run's
  * @property {object[]} commands
  * @property {string} commands[].id
  * @property {string} commands[].keystroke human-readable sequence of key and key chord presses
  * @property {object[]} commands[].keypresses
  * @property {string} commands[].keypresses[].id
  * @property {string} commands[].keypresses[].keystroke single human-readable key or key chord press
+ * @property {"press"|"keyDown"|"keyUp"} [commands[].keypresses[].action] press the keys (the default), or hold them down for the following keypresses or release them
+ * @property {number} [commands[].keypresses[].repeat] times to press the keys, only when pressing
+ * @property {number} [commands[].keypresses[].delay] milliseconds to wait after this keypress
  * @property {string} [commands[].extraInstruction] human-readable additional instruction to follow
  * @property {string} [commands[].settings] this property only exists on v2 tests
+ * @property {AriaATCIData.TimingHints} [commands[].timing] times for this command, replacing the test's and the run's
  * @property {object[]} assertions[]
  * @property {1 | 2} assertions[].priority
  * @property {string} [assertions[].expectation] assertion statement string, this property only exists on v1 tests
  * @property {string} [assertions[].assertionStatement] assertion statement string, this property only exists on v2 tests
  */
 
+/**
+ * Milliseconds to wait at most for speech, replacing the `--time-*` options
+ * of a run for one test or command.
+ * @typedef AriaATCIData.TimingHints
+ * @property {number} [afterNav] after opening the test page
+ * @property {number} [afterKeys] after pressing the command's keys
+ * @property {number} [modeSwitch] after pressing keys to apply a setting
+ */
+
 /**
  * @typedef AriaATCIData.Log
  * @property {AriaATCIData.LogTypeDateData | Object<string, *>} data
@@ -68,6 +82,7 @@
  * Result from a test plan.
  * @typedef AriaATCIData.TestPlanResult
  * @property {string} name name of the test plan, defaults to 'unknown'
+ * @property {boolean} [cancelled] set when the run was cancelled before every test ran
  * @property {AriaATCIData.Log[]} log debug messages emitted during execution of test plan
  * @property {object[]} tests
  * @property {string} tests[].id id of a test in a test plan
@@ -83,12 +98,43 @@
  * @property {number} presentationNumber numeric id of a test in a test plan
  * @property {object[]} commands input commands and the speech emitted
  * @property {string} commands[].command id of input command sent to system
+ * @property {string} [commands[].alternative] keys pressed, when the command's keystroke has "or" alternatives that are each reported separately
+ * @property {object} [commands[].keys] keypress ids as written and with key aliases like "VO" expanded, when they use an alias
+ * @property {string[]} commands[].keys.input
+ * @property {string[]} commands[].keys.expanded
+ * @property {AriaATCIData.TimingHints} [commands[].timing] times used for the command
+ * @property {AriaATCIData.TestSetup} [commands[].setup] how the test page's setup ran before the command
+ * @property {AriaATCIData.Artifact[]} [commands[].artifacts] files written while running the command, like screenshots
+ * @property {object} [commands[].activeElement] the focused element before and after pressing the command's keys
+ * @property {AriaATCIData.ElementSnapshot | null} commands[].activeElement.before after opening the test page and applying settings
+ * @property {AriaATCIData.ElementSnapshot | null} commands[].activeElement.after after collecting the command's speech
+ * @property {object[]} [commands[].attempts] every time the command ran, when it was retried
+ * @property {number} commands[].attempts[].attempt
+ * @property {string} [commands[].attempts[].response]
+ * @property {object[]} [commands[].attempts[].utterances]
+ * @property {string} [commands[].attempts[].error] error that ended the attempt
+ * @property {'empty' | 'navigation' | 'error'} [commands[].attempts[].trigger] why the attempt called for a retry
+ * @property {boolean} commands[].attempts[].counted whether this attempt's response is the command's response
  * @property {string} [commands[].response] speech emitted
+ * @property {object[]} [commands[].utterances] each utterance collected for the command
+ * @property {string} commands[].utterances[].text
+ * @property {number} commands[].utterances[].offset milliseconds from the command's keys being pressed until the utterance arrived, negative for speech before the keys were pressed
+ * @property {"navigation"|"settings"|"command"} commands[].utterances[].phase what was happening when the utterance arrived
  * @property {string[]} [commands[].errors] errors that occured while during command
  * @property {object[]} commands[].assertions
  * @property {string} commands[].assertions[].expectation
  * @property {"pass"|"fail"|null} commands[].assertions[].verdict
- * @property {Record<string, string>} capabilities Information about the system under test
+ * @property {string} [commands[].assertions[].rule] id of the verdict rule that decided the verdict
+ * @property {Record<string, *>} capabilities Information about the system under test, with every capability of the browser's WebDriver session as `webDriverCapabilities`
+ * @property {object[]} [recoveries] lost AT-Driver connections recovered before the test was run again
+ * @property {string} recoveries[].error
+ * @property {number} recoveries[].attempt
+ * @property {number} recoveries[].duration milliseconds spent reconnecting
+ * @property {string} [recoveries[].command] id of the command whose retries the lost connection ended
+ * @property {object[]} [recoveries[].attempts] that command's attempts, like `commands[].attempts`
+ * @property {AriaATCIData.SpeechCollectionStats} [speechCollection] how long collecting speech took
+ * @property {boolean} [cancelled] set when the run was cancelled before every command ran
+ * @property {AriaATCIShared.WatchdogTimeout & {message: string}} [timeout] the deadline that passed before the test finished, its commands are not reported
  */
 
 /**
@@ -96,10 +142,86 @@
  * @typedef AriaATCIData.TestResultOutput
  * @property {object[]} commands input commands and the speech emitted
  * @property {string} commands[].command id of input command sent to system
+ * @property {string} [commands[].alternative] keys pressed, when the command's keystroke has "or" alternatives that are each reported separately
+ * @property {object} [commands[].keys] keypress ids as written and with key aliases like "VO" expanded, when they use an alias
+ * @property {string[]} commands[].keys.input
+ * @property {string[]} commands[].keys.expanded
+ * @property {AriaATCIData.TimingHints} [commands[].timing] times used for the command
+ * @property {AriaATCIData.TestSetup} [commands[].setup] how the test page's setup ran before the command
+ * @property {AriaATCIData.Artifact[]} [commands[].artifacts] files written while running the command, like screenshots
+ * @property {object} [commands[].activeElement] the focused element before and after pressing the command's keys
+ * @property {AriaATCIData.ElementSnapshot | null} commands[].activeElement.before after opening the test page and applying settings
+ * @property {AriaATCIData.ElementSnapshot | null} commands[].activeElement.after after collecting the command's speech
+ * @property {object[]} [commands[].attempts] every time the command ran, when it was retried
+ * @property {number} commands[].attempts[].attempt
+ * @property {string} [commands[].attempts[].response]
+ * @property {object[]} [commands[].attempts[].utterances]
+ * @property {string} [commands[].attempts[].error] error that ended the attempt
+ * @property {'empty' | 'navigation' | 'error'} [commands[].attempts[].trigger] why the attempt called for a retry
+ * @property {boolean} commands[].attempts[].counted whether this attempt's response is the command's response
  * @property {string} [commands[].response] speech emitted
+ * @property {object[]} [commands[].utterances] each utterance collected for the command
+ * @property {string} commands[].utterances[].text
+ * @property {number} commands[].utterances[].offset milliseconds from the command's keys being pressed until the utterance arrived, negative for speech before the keys were pressed
+ * @property {"navigation"|"settings"|"command"} commands[].utterances[].phase what was happening when the utterance arrived
  * @property {string[]} [commands[].errors] errors that occured while during command
  * @property {object[]} commands[].assertions
  * @property {string} commands[].assertions[].expectation
  * @property {"pass"|"fail"|null} commands[].assertions[].verdict
- * @property {Record<string, string>} capabilities Information about the system under test
+ * @property {string} [commands[].assertions[].rule] id of the verdict rule that decided the verdict
+ * @property {Record<string, *>} capabilities Information about the system under test, with every capability of the browser's WebDriver session as `webDriverCapabilities`
+ * @property {object[]} [recoveries] lost AT-Driver connections recovered before the test was run again
+ * @property {string} recoveries[].error
+ * @property {number} recoveries[].attempt
+ * @property {number} recoveries[].duration milliseconds spent reconnecting
+ * @property {string} [recoveries[].command] id of the command whose retries the lost connection ended
+ * @property {object[]} [recoveries[].attempts] that command's attempts, like `commands[].attempts`
+ * @property {AriaATCIData.SpeechCollectionStats} [speechCollection] how long collecting speech took
+ * @property {boolean} [cancelled] set when the run was cancelled before every command ran
+ * @property {AriaATCIShared.WatchdogTimeout & {message: string}} [timeout] the deadline that passed before the test finished, its commands are not reported
+ */
+
+/**
+ * How a test page's setup ran.
+ * @typedef AriaATCIData.TestSetup
+ * @property {boolean} ran false when the page has no setup
+ * @property {'script' | 'button'} [method] whether the setup script ran directly or the page's Run Test Setup button was clicked
+ * @property {string} [script] name of the test's setup script
+ * @property {number} [duration] milliseconds setup took
+ * @property {string} [error] why a setup the test requires did not run
+ */
+
+/**
+ * A file written while running a command.
+ * @typedef AriaATCIData.Artifact
+ * @property {'screenshot'} type
+ * @property {'setup' | 'command'} phase taken after opening the test page and applying settings, or after pressing the command's keys and collecting its speech
+ * @property {string} path relative to the artifacts directory
+ */
+
+/**
+ * Details of an element, like the test page's focused element.
+ * @typedef AriaATCIData.ElementSnapshot
+ * @property {string} tagName lower case
+ * @property {string | null} id
+ * @property {string | null} role the role attribute
+ * @property {object} name what the element's accessible name is computed from
+ * @property {string | null} name.ariaLabel
+ * @property {string | null} name.ariaLabelledby
+ * @property {string | null} name.labelledbyText text of the elements aria-labelledby refers to
+ * @property {string | null} name.title
+ * @property {string} name.text the element's text content, at most 200 characters
+ * @property {Object<string, string>} states ARIA states and properties the element has, like "aria-expanded"
+ */
+
+/**
+ * How long collecting speech took during a test.
+ * @typedef AriaATCIData.SpeechCollectionStats
+ * @property {number} collections times speech was collected, after navigation, keys, and settings
+ * @property {number} totalDuration milliseconds spent collecting speech after each operation finished
+ * @property {number} maxDuration milliseconds the longest collection took
+ * @property {object} reasons how many collections finished for each reason
+ * @property {number} reasons.idle no speech arrived for the idle time
+ * @property {number} reasons.ended the AT-Driver server reported that speech ended
+ * @property {number} reasons.max the longest wait passed
  */
@@ -0,0 +1,49 @@
+/**
+ * @module host
+ */
+
+import * as path from 'path';
+
+import { MockATDriverServer } from '../runner/mock-at-driver-server.js';
+
+export const command = 'mock-at-driver [script]';
+
+export const describe = 'Run a scripted AT-Driver server for developing and testing the harness';
+
+export const builder = yargs =>
+  yargs
+    .positional('script', { describe: 'JSON file scripting the speech answered to key presses' })
+    .options({
+      hostname: {
+        default: 'localhost',
+        type: 'string',
+      },
+      port: {
+        default: 4382,
+        type: 'number',
+      },
+    });
+
+/**
+ * @param {object} argv
+ * @param {string} [argv.script]
+ * @param {string} argv.hostname
+ * @param {number} argv.port
+ * @param {import("events").EventEmitter} argv.signals
+ * @param {import("events").EventEmitter & {write: function(string): void}} argv.stderr
+ */
+export async function handler({ script, hostname, port, signals, stderr }) {
+  const server = new MockATDriverServer({
+    script: script ? MockATDriverServer.readScript(path.resolve(script)) : {},
+    hostname,
+    port,
+  });
+  await server.ready;
+  stderr.write(`Mock AT-Driver listening on '${server.url}'.\n`);
+
+  await new Promise(resolve => {
+    signals.once('SIGINT', resolve);
+    signals.once('SIGTERM', resolve);
+  });
+  await server.close();
+}
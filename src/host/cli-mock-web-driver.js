@@ -0,0 +1,68 @@
+/**
+ * @module host
+ */
+
+import * as path from 'path';
+
+import { MockATDriverServer } from '../runner/mock-at-driver-server.js';
+import { MockWebDriverServer } from '../runner/mock-web-driver-server.js';
+
+export const command = 'mock-web-driver';
+
+export const describe =
+  'Run a stand-in WebDriver server for developing and testing the harness without a browser';
+
+export const builder = yargs =>
+  yargs.options({
+    hostname: {
+      default: 'localhost',
+      type: 'string',
+    },
+    port: {
+      default: 4444,
+      type: 'number',
+    },
+    'at-driver-script': {
+      describe:
+        'JSON file scripting a mock AT-Driver server to start alongside, told about each page navigated to',
+      nargs: 1,
+      type: 'string',
+    },
+    'at-driver-port': {
+      describe: 'Port the mock AT-Driver server started by --at-driver-script listens on',
+      default: 4382,
+      type: 'number',
+    },
+  });
+
+/**
+ * @param {object} argv
+ * @param {string} argv.hostname
+ * @param {number} argv.port
+ * @param {string} [argv.atDriverScript]
+ * @param {number} argv.atDriverPort
+ * @param {import("events").EventEmitter} argv.signals
+ * @param {import("events").EventEmitter & {write: function(string): void}} argv.stderr
+ */
+export async function handler({ hostname, port, atDriverScript, atDriverPort, signals, stderr }) {
+  const atDriverServer = atDriverScript
+    ? new MockATDriverServer({
+        script: MockATDriverServer.readScript(path.resolve(atDriverScript)),
+        hostname,
+        port: atDriverPort,
+      })
+    : undefined;
+  const server = new MockWebDriverServer({ hostname, port, atDriverServer });
+  await Promise.all([server.ready, atDriverServer?.ready]);
+  if (atDriverServer) {
+    stderr.write(`Mock AT-Driver listening on '${atDriverServer.url}'.\n`);
+  }
+  stderr.write(`Mock WebDriver listening on '${server.url}'.\n`);
+
+  await new Promise(resolve => {
+    signals.once('SIGINT', resolve);
+    signals.once('SIGTERM', resolve);
+  });
+  await server.close();
+  await atDriverServer?.close();
+}
@@ -2,6 +2,7 @@
  * @module host
  */
 
+import * as fs from 'fs';
 import * as path from 'path';
 import { Readable } from 'stream';
 import fetch, { Response } from 'node-fetch';
@@ -13,7 +14,12 @@ import { hostMain } from './main.js';
 import { HostMessage, createHostLogger } from './messages.js';
 import { plansFrom } from './plan-from.js';
 import { HostServer } from './server.js';
+import { TestJournal } from './journal.js';
+import { parseNumberRanges } from './select-tests.js';
 import { timesOptionsConfig } from '../shared/times-option.js';
+import { VerdictEngine } from '../runner/verdict-engine.js';
+import { SettingsProfiles } from '../runner/settings-profile.js';
+import { validateBrowserOptions } from '../runner/browser-driver/browser-options.js';
 
 export const command = 'run-plan [plan-files..]';
 
@@ -27,6 +33,11 @@ export const builder = (args = yargs) =>
     .positional('plan-files', { describe: 'Files in a test plan' })
     .env('ARIA_AT')
     .options({
+      config: {
+        config: true,
+        configParser: configPath => JSON.parse(fs.readFileSync(configPath, 'utf8')),
+        describe: 'JSON file of run-plan options',
+      },
       quiet: {
         conflicts: ['debug', 'verbose'],
         describe: 'Disable all logging',
@@ -63,7 +74,42 @@ export const builder = (args = yargs) =>
         nargs: 1,
         type: 'string',
       },
+      'test-id': {
+        describe: 'Run only tests with these ids, separated by commas or repeated',
+        coerce: splitList,
+        type: 'string',
+        array: true,
+      },
+      'presentation-number': {
+        describe: 'Run only tests with presentation numbers in these ranges, like 3-7,12',
+        coerce(arg) {
+          if (arg !== undefined) {
+            parseNumberRanges(arg);
+          }
+          return arg;
+        },
+        nargs: 1,
+        type: 'string',
+      },
+      'title-grep': {
+        describe: 'Run only tests whose title matches this regular expression',
+        coerce(arg) {
+          if (arg !== undefined) {
+            new RegExp(arg);
+          }
+          return arg;
+        },
+        nargs: 1,
+        type: 'string',
+      },
+      'command-id': {
+        // Command ids of several keystrokes contain commas, like UP_ARROW,DOWN_ARROW.
+        describe: 'Run only tests with a command of this id. Repeat for several ids',
+        type: 'string',
+        array: true,
+      },
       'reference-hostname': {
+        describe: 'Hostname the AT machines reach the reference server by',
         default: 'localhost',
       },
       'plan-workingdir': {
@@ -77,19 +123,206 @@ export const builder = (args = yargs) =>
         default: 'http://localhost:4444',
       },
       'web-driver-browser': {
-        choices: ['chrome', 'firefox', 'safari'],
+        choices: ['chrome', 'edge', 'firefox', 'safari'],
         default: 'firefox',
       },
+      'web-driver-capabilities': {
+        describe:
+          'JSON object of capabilities to request from the WebDriver server, like "acceptInsecureCerts"',
+        coerce(arg) {
+          if (arg === undefined) {
+            return arg;
+          }
+          const capabilities = typeof arg === 'string' ? JSON.parse(arg) : arg;
+          if (
+            typeof capabilities !== 'object' ||
+            capabilities === null ||
+            Array.isArray(capabilities)
+          ) {
+            throw new Error('web-driver capabilities must be an object');
+          }
+          return capabilities;
+        },
+      },
+      'web-driver-options': {
+        describe:
+          'JSON object of options launching the browser: "args", "binary", "prefs", "profile", and "windowSize"',
+        coerce(arg) {
+          if (arg === undefined) {
+            return arg;
+          }
+          return validateBrowserOptions(typeof arg === 'string' ? JSON.parse(arg) : arg);
+        },
+      },
       'at-driver-url': {
         coerce(arg) {
           return new URL(arg);
         },
         default: 'http://localhost:4382',
       },
+      endpoint: {
+        describe:
+          'AT-Driver and WebDriver urls of a machine, separated by a comma. Repeat to spread tests across machines in place of --at-driver-url and --web-driver-url',
+        coerce(args) {
+          return args?.map(arg => {
+            const urls = arg.split(',');
+            if (urls.length !== 2) {
+              throw new Error(
+                `--endpoint '${arg}' must be an AT-Driver url and a WebDriver url separated by a comma`
+              );
+            }
+            return { atDriverUrl: new URL(urls[0]), webDriverUrl: new URL(urls[1]) };
+          });
+        },
+        type: 'string',
+        array: true,
+      },
+      'at-name': {
+        describe: 'Name of the assistive technology the at-driver session must run',
+        nargs: 1,
+        type: 'string',
+      },
+      'at-version': {
+        describe: 'Version of the assistive technology the at-driver session must run',
+        nargs: 1,
+        type: 'string',
+      },
+      'platform-name': {
+        describe: 'Platform the at-driver session must run on',
+        nargs: 1,
+        type: 'string',
+      },
+      'at-driver-capabilities': {
+        describe:
+          'JSON object of capabilities to request from at-driver, with "alwaysMatch" and "firstMatch" members',
+        coerce(arg) {
+          if (arg === undefined) {
+            return arg;
+          }
+          const capabilities = typeof arg === 'string' ? JSON.parse(arg) : arg;
+          if (
+            typeof capabilities !== 'object' ||
+            capabilities === null ||
+            Object.keys(capabilities).some(key => !['alwaysMatch', 'firstMatch'].includes(key)) ||
+            (capabilities.firstMatch !== undefined && !Array.isArray(capabilities.firstMatch))
+          ) {
+            throw new Error(
+              'at-driver capabilities must be an object with an "alwaysMatch" object and a "firstMatch" array'
+            );
+          }
+          return capabilities;
+        },
+        hidden: true,
+      },
+      'at-driver-reconnect': {
+        describe:
+          'Times to try reconnecting to at-driver and retrying the test after losing the connection',
+        default: 0,
+        type: 'number',
+      },
+      'at-driver-reconnect-delay': {
+        describe:
+          'Milliseconds to wait before reconnecting to at-driver, doubled after each attempt',
+        default: 1000,
+        type: 'number',
+        hidden: true,
+      },
+      'at-settings-profile': {
+        describe:
+          'JSON settings profile adding to or replacing the settings built in for its atName, may be given more than once',
+        type: 'string',
+        array: true,
+      },
+      'at-adapter': {
+        describe:
+          'Module whose default export is an AT adapter, or an array of them, for ATs without a built-in adapter, may be given more than once',
+        type: 'string',
+        array: true,
+      },
+      'retry-attempts': {
+        describe: "Most times to press a command's keys, retrying when a --retry-on trigger occurs",
+        default: 1,
+        coerce: numberAtLeast('retry-attempts', { min: 1, integer: true }),
+        type: 'number',
+      },
+      'retry-on': {
+        describe:
+          'Retry a command whose response is empty, repeats the speech from opening the test page, or that fails with a driver error',
+        choices: ['empty', 'navigation', 'error'],
+        default: ['empty'],
+        type: 'string',
+        array: true,
+      },
+      'retry-backoff': {
+        describe: 'Milliseconds to wait before retrying a command, doubled after each retry',
+        default: 1000,
+        coerce: numberAtLeast('retry-backoff'),
+        type: 'number',
+      },
+      'timeout-call': {
+        describe: 'Milliseconds each AT-Driver or browser driver call may take, 0 for no deadline',
+        default: 0,
+        coerce: numberAtLeast('timeout-call'),
+        type: 'number',
+      },
+      'timeout-test': {
+        describe: 'Milliseconds each test may take, 0 for no deadline',
+        default: 0,
+        coerce: numberAtLeast('timeout-test'),
+        type: 'number',
+      },
+      'timeout-plan': {
+        describe: 'Milliseconds each test plan may take, 0 for no deadline',
+        default: 0,
+        coerce: numberAtLeast('timeout-plan'),
+        type: 'number',
+      },
+      'on-timeout': {
+        describe: 'Run the next test, or stop, after a --timeout-* deadline passes',
+        choices: ['continue', 'stop'],
+        default: 'continue',
+        type: 'string',
+      },
+      'artifacts-dir': {
+        describe:
+          'Directory to write screenshots of the test page into, after setup and after each command',
+        coerce(arg) {
+          return arg === undefined ? arg : path.resolve(arg);
+        },
+        nargs: 1,
+        type: 'string',
+      },
+      journal: {
+        describe: 'File to append each finished test result to, defaults to the --resume file',
+        coerce(arg) {
+          return arg === undefined ? arg : path.resolve(arg);
+        },
+        nargs: 1,
+        type: 'string',
+      },
+      resume: {
+        describe:
+          'Journal of an interrupted run. Tests it finished are not run again, their results are merged into the output',
+        coerce(arg) {
+          return arg === undefined ? arg : path.resolve(arg);
+        },
+        nargs: 1,
+        type: 'string',
+      },
+      'fresh-sessions': {
+        describe:
+          "Start a new browser and AT session for each test plan instead of reusing the last plan's",
+        type: 'boolean',
+      },
       'runner-mock': {
         type: 'boolean',
         hidden: true,
       },
+      'verdict-rules': {
+        describe: 'JSON file of rules used to decide assertion verdicts from collected speech',
+        nargs: 1,
+        type: 'string',
+      },
       'callback-url': {
         describe: 'URL to POST test results to as they complete',
       },
@@ -116,6 +349,42 @@ export const builder = (args = yargs) =>
 
 export const handler = argv => hostMain(argv);
 
+/**
+ * @param {string[] | undefined} args values of a repeatable option, each a
+ *   comma separated list
+ * @returns {string[] | undefined}
+ */
+function splitList(args) {
+  return args?.flatMap(arg => arg.split(',')).filter(Boolean);
+}
+
+/**
+ * A yargs coerce function rejecting values that are not finite numbers of at
+ * least `min`, such as the NaN yargs makes of `--timeout-test abc`.
+ *
+ * @param {string} name option name without the leading --
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {boolean} [options.integer] whether the value must be a whole number
+ * @returns {function(*): number}
+ */
+function numberAtLeast(name, { min = 0, integer = false } = {}) {
+  return arg => {
+    const value = typeof arg === 'number' ? arg : Number(arg);
+    if (
+      !Number.isFinite(value) ||
+      value < min ||
+      (integer && !Number.isInteger(value)) ||
+      (typeof arg === 'string' && arg.trim() === '')
+    ) {
+      throw new Error(
+        `--${name} must be a ${integer ? 'whole number' : 'number'} of at least ${min}`
+      );
+    }
+    return value;
+  };
+}
+
 async function verboseMiddleware(argv) {
   const { debug, quiet, verbose } = argv;
 
@@ -135,6 +404,11 @@ async function verboseMiddleware(argv) {
           HostMessage.ADD_SERVER_DIRECTORY,
           HostMessage.REMOVE_SERVER_DIRECTORY,
           HostMessage.UNCAUGHT_ERROR,
+          HostMessage.CANCEL,
+          HostMessage.WATCHDOG_TIMEOUT,
+          HostMessage.FORCE_EXIT,
+          HostMessage.DISCARD_SESSIONS,
+          HostMessage.ABANDON_SESSIONS,
           RunnerMessage.OPEN_PAGE,
         ];
   }
@@ -144,13 +418,24 @@ async function verboseMiddleware(argv) {
 
 function mainMiddleware(argv) {
   argv.planWorkingdir = path.resolve(argv.planWorkingdir);
+  mainEndpointsMiddleware(argv);
   mainFetchMiddleware(argv);
+  mainCapabilitiesMiddleware(argv);
   mainLoggerMiddleware(argv);
   mainTestPlanMiddleware(argv);
   mainServerMiddleware(argv);
+  mainVerdictMiddleware(argv);
+  mainSettingsProfilesMiddleware(argv);
+  mainJournalMiddleware(argv);
   mainResultMiddleware(argv);
 }
 
+function mainEndpointsMiddleware(argv) {
+  const { endpoint, atDriverUrl, webDriverUrl } = argv;
+
+  argv.endpoints = endpoint ?? [{ atDriverUrl, webDriverUrl }];
+}
+
 function mainFetchMiddleware(argv) {
   if (!argv.fetch) {
     if (!argv.runnerMock) {
@@ -175,6 +460,20 @@ function mainFetchMiddleware(argv) {
   }
 }
 
+function mainCapabilitiesMiddleware(argv) {
+  const { atDriverCapabilities = {}, atName, atVersion, platformName } = argv;
+
+  const alwaysMatch = { ...atDriverCapabilities.alwaysMatch };
+  if (atName) alwaysMatch.atName = atName;
+  if (atVersion) alwaysMatch.atVersion = atVersion;
+  if (platformName) alwaysMatch.platformName = platformName;
+
+  argv.atDriverCapabilities = {
+    ...(Object.keys(alwaysMatch).length > 0 ? { alwaysMatch } : {}),
+    ...(atDriverCapabilities.firstMatch ? { firstMatch: atDriverCapabilities.firstMatch } : {}),
+  };
+}
+
 function mainLoggerMiddleware(argv) {
   const { stderr, verbosity } = argv;
 
@@ -190,7 +489,16 @@ function mainLoggerMiddleware(argv) {
 }
 
 function mainTestPlanMiddleware(argv) {
-  const { log, testsMatch: testPattern, planWorkingdir, planFiles } = argv;
+  const {
+    log,
+    testsMatch: testPattern,
+    testId: testIds,
+    presentationNumber: presentationNumbers,
+    titleGrep,
+    commandId: commandIds,
+    planWorkingdir,
+    planFiles,
+  } = argv;
 
   if (!planFiles || planFiles.length === 0) {
     throw new Error(`'plan-files' argument can not be empty`);
@@ -200,7 +508,11 @@ function mainTestPlanMiddleware(argv) {
     workingdir: planWorkingdir,
     files: planFiles,
   };
-  const planOptions = { log, testPattern };
+  const planOptions = {
+    log,
+    testPattern,
+    selection: { testIds, presentationNumbers, titleGrep, commandIds },
+  };
 
   argv.plans = plansFrom(planInput, planOptions);
 }
@@ -211,15 +523,41 @@ function mainServerMiddleware(argv) {
   argv.server = new HostServer({ log, baseUrl: { hostname: argv.referenceHostname } });
 }
 
+function mainVerdictMiddleware(argv) {
+  const { verdictRules } = argv;
+
+  argv.verdictEngine = verdictRules ? VerdictEngine.fromFile(path.resolve(verdictRules)) : null;
+}
+
+function mainSettingsProfilesMiddleware(argv) {
+  const { atSettingsProfile = [], atAdapter = [] } = argv;
+
+  argv.settingsProfiles = SettingsProfiles.load(
+    atSettingsProfile.map(filepath => path.resolve(filepath))
+  );
+  argv.atAdapterModules = atAdapter.map(modulePath => path.resolve(modulePath));
+}
+
+function mainJournalMiddleware(argv) {
+  const { journal, resume } = argv;
+
+  argv.journal = new TestJournal({
+    file: journal ?? resume,
+    entries: resume ? TestJournal.readEntries(resume) : [],
+  });
+}
+
 function mainResultMiddleware(argv) {
   const { stdout } = argv;
 
   /**
    * @param {AriaATCIHost.TestPlan} testPlan
    */
-  argv.emitPlanResults = async ({ name, tests, log }) => {
+  argv.emitPlanResults = async ({ name, tests, log, cancelled, selection }) => {
     const result = {
       name,
+      ...(cancelled ? { cancelled } : {}),
+      ...(selection ? { selection } : {}),
       tests: tests.map(test => ({
         ...test,
         log: test.log.map(index => log[index]),
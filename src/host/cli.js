@@ -5,6 +5,8 @@
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 
+import * as mockATDriverCommand from './cli-mock-at-driver.js';
+import * as mockWebDriverCommand from './cli-mock-web-driver.js';
 import * as readPlanCommand from './cli-read-plan.js';
 import * as runPlanCommand from './cli-run-plan.js';
 
@@ -26,7 +28,9 @@ export async function createParser({ signals, send, stdin, stdout, stderr }) {
       argv.stderr = stderr;
     })
     .command(runPlanCommand)
-    .command(readPlanCommand);
+    .command(readPlanCommand)
+    .command(mockATDriverCommand)
+    .command(mockWebDriverCommand);
 }
 
 /**
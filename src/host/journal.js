@@ -0,0 +1,138 @@
+/**
+ * @module host
+ */
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+
+/**
+ * Test results written as each test finishes, one JSON line per test, so a run
+ * that stops partway can resume without running those tests again.
+ *
+ * A result is found again by its plan's name and the hash of its test file, so
+ * a test whose file changed since it finished runs again.
+ */
+export class TestJournal {
+  /**
+   * @param {object} options
+   * @param {string} [options.file] file to append finished tests to
+   * @param {AriaATCIHost.JournalEntry[]} [options.entries] tests finished in
+   *   earlier runs
+   */
+  constructor({ file, entries = [] }) {
+    this.file = file;
+    /** @type {Map<string, AriaATCIHost.JournalEntry>} */
+    this._finished = new Map(
+      entries.map(entry => [journalKey(entry.plan, entry.filepath, entry.hash), entry])
+    );
+    /** @type {Promise<void> | undefined} */
+    this._lastWrite = undefined;
+  }
+
+  /**
+   * Read the tests finished by an earlier run. A last line cut short by the
+   * run stopping is ignored.
+   *
+   * @param {string} filepath journal written by an earlier run
+   * @returns {AriaATCIHost.JournalEntry[]}
+   */
+  static readEntries(filepath) {
+    let text;
+    try {
+      text = fs.readFileSync(filepath, 'utf8');
+    } catch (cause) {
+      throw new Error(`Unable to read journal '${filepath}'`, { cause });
+    }
+    const lines = text.split('\n').filter(line => line.trim());
+    return lines.flatMap((line, index) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (cause) {
+        if (index === lines.length - 1 && !text.endsWith('\n')) {
+          return [];
+        }
+        throw new Error(`Journal '${filepath}' line ${index + 1} is not JSON`, { cause });
+      }
+    });
+  }
+
+  /**
+   * @param {string} plan name of the test's plan
+   * @param {FileRecord.NamedRecord} file the test's file
+   * @returns {AriaATCIHost.JournalEntry | undefined} the test's entry from an
+   *   earlier run, if it finished with the same test file
+   */
+  finished(plan, file) {
+    return this._finished.get(journalKey(plan, file.name, testFileHash(file.bufferData)));
+  }
+
+  /**
+   * Append a finished test, after the tests appended before it.
+   *
+   * @param {string} plan name of the test's plan
+   * @param {FileRecord.NamedRecord} file the test's file
+   * @param {object} finished
+   * @param {*} finished.result the test's result, as added to the plan
+   * @param {AriaATCIData.Log[]} finished.log messages logged while it ran
+   * @returns {Promise<void>}
+   */
+  append(plan, file, { result, log }) {
+    if (!this.file) {
+      return Promise.resolve();
+    }
+    /** @type {AriaATCIHost.JournalEntry} */
+    const entry = {
+      plan,
+      filepath: file.name,
+      hash: testFileHash(file.bufferData),
+      result,
+      log,
+    };
+    const line = `${JSON.stringify(entry)}\n`;
+    // A line cut short by an earlier run stopping is removed before the first
+    // append, so it does not run into the new entry.
+    this._lastWrite = (this._lastWrite ?? removeCutOffLine(this.file)).then(() =>
+      fs.promises.appendFile(this.file, line)
+    );
+    return this._lastWrite;
+  }
+}
+
+/**
+ * Truncate a journal to its last complete line, if it has one cut short.
+ *
+ * @param {string} filepath
+ * @returns {Promise<void>}
+ */
+async function removeCutOffLine(filepath) {
+  let text;
+  try {
+    text = await fs.promises.readFile(filepath, 'utf8');
+  } catch {
+    // A journal that does not exist yet is created by the first append.
+    return;
+  }
+  if (text.length > 0 && !text.endsWith('\n')) {
+    await fs.promises.truncate(
+      filepath,
+      Buffer.byteLength(text.slice(0, text.lastIndexOf('\n') + 1))
+    );
+  }
+}
+
+/**
+ * @param {Uint8Array} bufferData
+ * @returns {string} sha256 hash of a test file, in hex
+ */
+export function testFileHash(bufferData) {
+  return createHash('sha256').update(bufferData).digest('hex');
+}
+
+/**
+ * @param {string} plan
+ * @param {string} filepath
+ * @param {string} hash
+ */
+function journalKey(plan, filepath, hash) {
+  return JSON.stringify([plan, filepath, hash]);
+}
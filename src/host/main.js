@@ -2,16 +2,23 @@
  * @module host
  */
 
-import { createRunner } from '../runner/create-test-runner.js';
-
-import { HostMessage } from './messages.js';
+import { HostMessage, createHostLogger } from './messages.js';
 import {
   addLogToTestPlan,
   setServerOptionsInTestPlan,
   addTestLogToTestPlan,
   addTestResultToTestPlan,
+  cancelTestPlan,
 } from './plan-object.js';
+import { TestJournal } from './journal.js';
+import { RunnerPool } from './runner-pool.js';
 import { getTimesOption } from '../shared/times-option.js';
+import {
+  WATCHDOG_TIMEOUT,
+  describeWatchdogTimeout,
+  watchdogTimeoutError,
+  withDeadline,
+} from '../shared/watchdog.js';
 import { RUNNER_TEMPLATES } from '../runner/messages.js';
 
 /**
@@ -27,6 +34,27 @@ const logUnsuccessfulHTTP = async (log, response) => {
   }
 };
 
+/**
+ * Group a test result's command outputs by the command they ran. A command
+ * whose keystroke has "or" alternatives has an output for each alternative,
+ * one after the other.
+ *
+ * @param {AriaATCIData.TestResultOutput['commands']} commands
+ * @returns {AriaATCIData.TestResultOutput['commands'][]}
+ */
+function groupAlternatives(commands) {
+  const groups = [];
+  for (const output of commands) {
+    const last = groups[groups.length - 1];
+    if (output.alternative && last?.[0].alternative && last[0].command === output.command) {
+      last.push(output);
+    } else {
+      groups.push([output]);
+    }
+  }
+  return groups;
+}
+
 /**
  * @param {object} options
  * @param {AriaATCIHost.Logger} options.logger
@@ -40,7 +68,41 @@ const logUnsuccessfulHTTP = async (log, response) => {
  * @param {boolean} options.runnerMock
  * @param {AriaATCIShared.BaseURL}  options.webDriverUrl
  * @param {AriaATCIRunner.Browser} options.webDriverBrowser
+ * @param {Object<string, *>} [options.webDriverCapabilities]
+ * @param {AriaATCIRunner.BrowserOptions} [options.webDriverOptions]
  * @param {AriaATCIShared.BaseURL} options.atDriverUrl
+ * @param {AriaATCIRunner.ATCapabilitiesRequest} [options.atDriverCapabilities]
+ * @param {number} [options.atDriverReconnect]
+ * @param {number} [options.atDriverReconnectDelay]
+ * @param {import('../runner/verdict-engine.js').VerdictEngine} [options.verdictEngine]
+ * @param {import('../runner/settings-profile.js').SettingsProfiles} [options.settingsProfiles]
+ * @param {string[]} [options.atAdapterModules] paths of AT adapter modules
+ * @param {number} [options.retryAttempts]
+ * @param {AriaATCIRunner.RetryTrigger[]} [options.retryOn]
+ * @param {number} [options.retryBackoff]
+ * @param {number} [options.timeoutCall] milliseconds each driver call may take
+ * @param {number} [options.timeoutTest] milliseconds each test may take
+ * @param {number} [options.timeoutPlan] milliseconds each test plan may take
+ * @param {'continue' | 'stop'} [options.onTimeout] whether to run the next test
+ *   after a deadline passes
+ * @param {number} [options.abandonedRunWait] milliseconds to wait for a test
+ *   abandoned after a deadline to stop, before its runner's sessions are
+ *   discarded and new ones started
+ * @param {string} [options.artifactsDir] directory to write screenshots of each
+ *   command into
+ * @param {AriaATCIHost.Endpoint[]} [options.endpoints] AT-Driver and WebDriver
+ *   servers to spread each plan's tests across, defaults to `atDriverUrl` and
+ *   `webDriverUrl`
+ * @param {import('./journal.js').TestJournal} [options.journal] records each
+ *   finished test, and holds the tests an earlier run finished so they are not
+ *   run again
+ * @param {boolean} [options.freshSessions] start new browser and AT sessions
+ *   for each plan instead of reusing the last plan's
+ * @param {typeof import('../runner/create-test-runner.js').createRunner} [options.createRunner]
+ * @param {import("events").EventEmitter} [options.signals] SIGINT or SIGTERM
+ *   cancels the run after the current command, a second one stops at once
+ * @param {function(string): void} [options.forceExit] called with the second
+ *   signal, defaults to raising it again without the cancelling listeners
  */
 export async function hostMain(options) {
   const {
@@ -53,122 +115,381 @@ export async function hostMain(options) {
     runnerMock,
     webDriverUrl,
     webDriverBrowser,
+    webDriverCapabilities,
+    webDriverOptions,
     atDriverUrl,
+    atDriverCapabilities,
+    atDriverReconnect = 0,
+    atDriverReconnectDelay = 1000,
+    verdictEngine,
+    settingsProfiles,
+    atAdapterModules,
+    retryAttempts = 1,
+    retryOn = ['empty'],
+    retryBackoff = 1000,
+    timeoutCall = 0,
+    timeoutTest = 0,
+    timeoutPlan = 0,
+    onTimeout = 'continue',
+    abandonedRunWait = 5000,
+    artifactsDir,
+    endpoints = [{ atDriverUrl, webDriverUrl }],
+    journal = new TestJournal({}),
+    freshSessions = false,
+    createRunner,
+    signals,
+    forceExit = signal => process.kill(process.pid, signal),
   } = options;
   const { log } = logger;
   log(HostMessage.START);
 
+  /** @type {string | null} */
+  let cancelledBy = null;
+  let cancelRunner = () => {};
+  const signalListeners = ['SIGINT', 'SIGTERM'].map(signal => {
+    const listener = () => {
+      if (cancelledBy) {
+        log(HostMessage.FORCE_EXIT, { signal });
+        removeSignalListeners();
+        forceExit(signal);
+        return;
+      }
+      cancelledBy = signal;
+      log(HostMessage.CANCEL, { signal });
+      cancelRunner();
+    };
+    signals?.on(signal, listener);
+    return { signal, listener };
+  });
+  const removeSignalListeners = () => {
+    for (const { signal, listener } of signalListeners) {
+      signals?.off(signal, listener);
+    }
+  };
+
   await server.ready;
   log(HostMessage.SERVER_LISTENING, { url: server.baseUrl });
 
+  // Each endpoint runs its share of every plan's tests. Its browser and AT
+  // sessions are kept between plans, and stopped once the last plan ends or a
+  // plan stops the run.
+  const shards = endpoints.map(endpoint => {
+    // Runners log through their shard's logger, so the logs of tests running
+    // at the same time are added to the right test.
+    const shardLogger = createHostLogger();
+    /** @ts-expect-error EventEmitter is not correctly typed */
+    shardLogger.emitter.on('message', message => logger.emitter.emit('message', message));
+    return {
+      endpoint,
+      logger: shardLogger,
+      pool: new RunnerPool({ log, freshSessions, create: createRunner }),
+    };
+  });
+  const closePools = () => shards.forEach(({ pool }) => pool.close());
+
   const textDecoder = new TextDecoder();
-  for await (let plan of plans) {
-    const serverDirectory = server.addFiles(plan.files);
-    log(HostMessage.ADD_SERVER_DIRECTORY, { url: serverDirectory.baseUrl });
-    setServerOptionsInTestPlan(plan, { baseUrl: serverDirectory.baseUrl });
-
-    const timesOption = getTimesOption(options);
-
-    let stopDrivers = any => {};
-    const abortSignal = new Promise(resolve => {
-      stopDrivers = () => {
-        log(HostMessage.STOP_DRIVERS);
-        resolve();
-      };
-    });
-
-    const runner = await createRunner({
-      log,
-      abortSignal,
-      timesOption,
-      baseUrl: new URL(serverDirectory.baseUrl.toString()),
-      mock: runnerMock,
-      webDriverUrl,
-      webDriverBrowser,
-      atDriverUrl,
-    });
-
-    let lastCallbackRequest = Promise.resolve();
-
-    const postCallbackWhenEnabled = body => {
-      // ignore if not in callback mode
-      if (!callbackUrl) return;
-      const headers = {
-        'Content-Type': 'application/json',
-        ...(callbackHeader || {}),
+  // The drivers, server and signal listeners are stopped however the run ends.
+  try {
+    for await (let plan of plans) {
+      if (cancelledBy) {
+        break;
+      }
+      const serverDirectory = server.addFiles(plan.files);
+      log(HostMessage.ADD_SERVER_DIRECTORY, { url: serverDirectory.baseUrl });
+      setServerOptionsInTestPlan(plan, { baseUrl: serverDirectory.baseUrl });
+
+      const timesOption = getTimesOption(options);
+
+      /**
+       * @param {number} index of the shard to get a runner for
+       * @returns {Promise<AriaATCIRunner.TestRunner>}
+       */
+      const acquireRunner = index => {
+        const { endpoint, logger: shardLogger, pool } = shards[index];
+        return pool.acquire({
+          log: shardLogger.log,
+          timesOption,
+          baseUrl: new URL(serverDirectory.baseUrl.toString()),
+          mock: runnerMock,
+          webDriverUrl: endpoint.webDriverUrl,
+          webDriverBrowser,
+          webDriverCapabilities,
+          webDriverOptions,
+          atDriverUrl: endpoint.atDriverUrl,
+          atDriverCapabilities,
+          atDriverReconnect: { attempts: atDriverReconnect, delay: atDriverReconnectDelay },
+          verdictEngine,
+          settingsProfiles,
+          atAdapterModules,
+          retryPolicy: { attempts: retryAttempts, triggers: retryOn, backoff: retryBackoff },
+          callTimeout: timeoutCall,
+          artifactsDir,
+        });
       };
-      const perTestUrl = callbackUrl.replace(
-        ':testRowNumber',
-        body.presentationNumber ?? body.testCsvRow
-      );
-      lastCallbackRequest = lastCallbackRequest.then(() =>
-        options
-          .fetch(perTestUrl, {
-            method: 'post',
-            body: JSON.stringify(body),
-            headers,
-          })
-          .then(logUnsuccessfulHTTP.bind(null, log))
+      const acquired = await Promise.allSettled(shards.map((_, index) => acquireRunner(index)));
+      const acquireFailure = acquired.find(({ status }) => status === 'rejected');
+      if (acquireFailure) {
+        throw /** @type {PromiseRejectedResult} */ (acquireFailure).reason;
+      }
+      /**
+       * Each shard's runner. A runner whose abandoned test does not stop is
+       * discarded, and its shard starts a new one for its next test.
+       * @type {(AriaATCIRunner.TestRunner | null)[]}
+       */
+      const runners = acquired.map(
+        result => /** @type {PromiseFulfilledResult<AriaATCIRunner.TestRunner>} */ (result).value
       );
-    };
+      cancelRunner = () => runners.forEach(runner => runner?.cancel?.());
 
-    for (const test of plan.tests) {
-      const file = plan.files.find(({ name }) => name === test.filepath);
-      const testSource = JSON.parse(textDecoder.decode(file.bufferData));
+      const planDeadline = timeoutPlan ? Date.now() + timeoutPlan : Infinity;
+      /**
+       * Set once the plan's deadline passes. The plan's remaining tests are not
+       * run.
+       * @type {(AriaATCIShared.WatchdogTimeout & {message: string}) | null}
+       */
+      let planTimeout = null;
+      /**
+       * Set once a test fails in a way that stops the run. Shards run no more
+       * tests, and stop their running test after its current command.
+       * @type {* | null}
+       */
+      let stopError = null;
 
-      const { presentationNumber, testId: testCsvRow } = testSource.info;
+      let lastCallbackRequest = Promise.resolve();
 
-      const callbackBody = presentationNumber ? { presentationNumber } : { testCsvRow };
+      const postCallbackWhenEnabled = body => {
+        // ignore if not in callback mode
+        if (!callbackUrl) return;
+        const headers = {
+          'Content-Type': 'application/json',
+          ...(callbackHeader || {}),
+        };
+        const perTestUrl = callbackUrl.replace(
+          ':testRowNumber',
+          body.presentationNumber ?? body.testCsvRow
+        );
+        lastCallbackRequest = lastCallbackRequest.then(() =>
+          options
+            .fetch(perTestUrl, {
+              method: 'post',
+              body: JSON.stringify(body),
+              headers,
+            })
+            .then(logUnsuccessfulHTTP.bind(null, log))
+        );
+      };
 
-      log(HostMessage.START_TEST, { id: testSource.info.testId, title: testSource.info.title });
-      const addLogtoPlan = message => {
-        if (Object.keys(RUNNER_TEMPLATES).includes(message.data.type)) {
-          plan = addLogToTestPlan(plan, message);
-          plan = addTestLogToTestPlan(plan, test);
+      /**
+       * Wait for a test abandoned after a deadline to stop, so the next test
+       * does not drive the same sessions at the same time. When it does not stop
+       * in time, its runner's sessions are discarded.
+       *
+       * @param {Promise<*>} running
+       * @param {number} index of the shard that ran the test
+       */
+      const settleAbandonedRun = async (running, index) => {
+        let timer;
+        const settled = await Promise.race([
+          running.then(
+            () => true,
+            () => true
+          ),
+          new Promise(resolve => (timer = setTimeout(() => resolve(false), abandonedRunWait))),
+        ]);
+        clearTimeout(timer);
+        if (!settled) {
+          log(HostMessage.ABANDON_SESSIONS, { wait: abandonedRunWait });
+          shards[index].pool.discard(runners[index]);
+          runners[index] = null;
         }
       };
-      /** @ts-expect-error EventEmitter is not correctly typed */
-      logger.emitter.on('message', addLogtoPlan);
 
-      try {
-        postCallbackWhenEnabled({ ...callbackBody, status: 'RUNNING' });
+      /**
+       * @param {AriaATCIHost.TestPlan['tests'][number]} test
+       * @param {number} index of the shard running the test
+       */
+      const runTest = async (test, index) => {
+        const { logger: shardLogger } = shards[index];
+        const file = plan.files.find(({ name }) => name === test.filepath);
+        const testSource = JSON.parse(textDecoder.decode(file.bufferData));
 
-        const result = await runner.run(testSource);
+        const { presentationNumber, testId: testCsvRow } = testSource.info;
 
-        const { capabilities, commands } = result;
+        const callbackBody = presentationNumber ? { presentationNumber } : { testCsvRow };
 
-        postCallbackWhenEnabled({
-          ...callbackBody,
-          capabilities,
-          status: 'COMPLETED',
-          responses: commands.map(({ response }) => response),
-        });
+        const finished = journal.finished(plan.name, file);
+        if (finished) {
+          log(HostMessage.RESUME_TEST, {
+            id: testSource.info.testId,
+            title: testSource.info.title,
+          });
+          for (const message of finished.log) {
+            plan = addLogToTestPlan(plan, message);
+            plan = addTestLogToTestPlan(plan, test);
+          }
+          plan = addTestResultToTestPlan(plan, test.filepath, finished.result);
+          return;
+        }
+
+        if (cancelledBy) {
+          postCallbackWhenEnabled({ ...callbackBody, status: 'CANCELLED' });
+          return;
+        }
+        if (planTimeout) {
+          plan = addTestResultToTestPlan(plan, test.filepath, {
+            testId: testSource.info.testId,
+            commands: [],
+            timeout: planTimeout,
+          });
+          postCallbackWhenEnabled({
+            ...callbackBody,
+            error: planTimeout.message,
+            timeout: planTimeout,
+            status: 'ERROR',
+          });
+          return;
+        }
+
+        log(HostMessage.START_TEST, { id: testSource.info.testId, title: testSource.info.title });
+        const testLog = [];
+        /** The result to journal, once the test finishes without being cancelled. */
+        let finishedResult = null;
+        const addLogtoPlan = message => {
+          if (Object.keys(RUNNER_TEMPLATES).includes(message.data.type)) {
+            testLog.push(message);
+            plan = addLogToTestPlan(plan, message);
+            plan = addTestLogToTestPlan(plan, test);
+          }
+        };
+        shardLogger.emitter.on('message', addLogtoPlan);
 
-        plan = addTestResultToTestPlan(plan, test.filepath, result);
-      } catch (exception) {
-        const error = `${exception.message ?? exception}`;
-        log(HostMessage.TEST_ERROR, { error });
-        postCallbackWhenEnabled({ ...callbackBody, error, status: 'ERROR' });
+        /** @type {Promise<AriaATCIData.TestResultOutput> | undefined} */
+        let running;
+        try {
+          postCallbackWhenEnabled({ ...callbackBody, status: 'RUNNING' });
+
+          const runner = runners[index] ?? (runners[index] = await acquireRunner(index));
+          const planRemaining = planDeadline - Date.now();
+          running = runner.run(testSource);
+          const result = await withDeadline(running, {
+            ...(timeoutTest && timeoutTest < planRemaining
+              ? { timeout: timeoutTest, scope: 'test' }
+              : { timeout: planRemaining, scope: 'plan' }),
+            phase: () => runner.phase ?? 'running the test',
+            // The run is abandoned, so have it stop after its current command.
+            onTimeout: () => runner.cancel?.(),
+          });
+
+          const { capabilities, commands, cancelled } = result;
+          // Callback consumers match responses to the test's commands by
+          // position, so each command's "or" alternatives are sent together.
+          const byCommand = groupAlternatives(commands);
+
+          postCallbackWhenEnabled({
+            ...callbackBody,
+            capabilities,
+            status: cancelled ? 'CANCELLED' : 'COMPLETED',
+            responses: byCommand.map(([{ response }]) => response),
+            ...(verdictEngine ? { verdicts: byCommand.map(([{ assertions }]) => assertions) } : {}),
+            ...(byCommand.some(outputs => outputs.length > 1)
+              ? {
+                  alternatives: byCommand.map(outputs =>
+                    outputs.length > 1
+                      ? outputs.map(({ alternative, response, assertions }) => ({
+                          keys: alternative,
+                          response,
+                          ...(verdictEngine ? { verdicts: assertions } : {}),
+                        }))
+                      : null
+                  ),
+                }
+              : {}),
+          });
+
+          plan = addTestResultToTestPlan(plan, test.filepath, result);
+          if (!cancelled) {
+            finishedResult = result;
+          }
+        } catch (caught) {
+          // Report the plan's whole deadline, not the part left for this test.
+          const exception =
+            caught.code === WATCHDOG_TIMEOUT && caught.scope === 'plan'
+              ? watchdogTimeoutError({ scope: 'plan', phase: caught.phase, timeout: timeoutPlan })
+              : caught;
+          const error = `${exception.message ?? exception}`;
+          log(HostMessage.TEST_ERROR, { error });
+          if (exception.code !== WATCHDOG_TIMEOUT) {
+            postCallbackWhenEnabled({ ...callbackBody, error, status: 'ERROR' });
+            throw exception;
+          }
+
+          const timeout = describeWatchdogTimeout(exception);
+          log(HostMessage.WATCHDOG_TIMEOUT, { ...timeout, onTimeout });
+          postCallbackWhenEnabled({ ...callbackBody, error, timeout, status: 'ERROR' });
+          plan = addTestResultToTestPlan(plan, test.filepath, {
+            testId: testSource.info.testId,
+            commands: [],
+            timeout,
+          });
+          if (timeout.scope === 'plan') {
+            planTimeout = timeout;
+          }
+          await settleAbandonedRun(running, index);
+          if (onTimeout === 'stop') {
+            throw exception;
+          }
+        } finally {
+          shardLogger.emitter.off('message', addLogtoPlan);
+        }
+        if (finishedResult) {
+          await journal.append(plan.name, file, { result: finishedResult, log: testLog });
+        }
+      };
+
+      // Each shard takes the plan's next test once it finishes its last one.
+      let nextTest = 0;
+      await Promise.all(
+        shards.map(async (_, index) => {
+          while (nextTest < plan.tests.length && !stopError) {
+            try {
+              await runTest(plan.tests[nextTest++], index);
+            } catch (error) {
+              stopError = stopError ?? error;
+              runners.forEach(runner => runner?.cancel?.());
+            }
+          }
+        })
+      );
+
+      if (stopError) {
         await lastCallbackRequest;
-        throw exception;
-      } finally {
-        /** @ts-expect-error EventEmitter is not correctly typed */
-        logger.emitter.off('message', addLogtoPlan);
+        closePools();
+        if (stopError.code === WATCHDOG_TIMEOUT) {
+          await emitPlanResults(plan);
+        }
+        throw stopError;
       }
-    }
 
-    server.removeFiles(serverDirectory);
-    log(HostMessage.REMOVE_SERVER_DIRECTORY, { url: serverDirectory.baseUrl });
+      server.removeFiles(serverDirectory);
+      log(HostMessage.REMOVE_SERVER_DIRECTORY, { url: serverDirectory.baseUrl });
 
-    await lastCallbackRequest;
+      await lastCallbackRequest;
 
-    stopDrivers();
+      shards.forEach(({ pool }, index) => runners[index] && pool.release(runners[index]));
+      cancelRunner = () => {};
 
-    await emitPlanResults(plan);
-  }
+      if (cancelledBy) {
+        plan = cancelTestPlan(plan);
+      }
+      await emitPlanResults(plan);
+    }
+  } finally {
+    closePools();
 
-  log(HostMessage.STOP_SERVER);
-  await server.close();
+    log(HostMessage.STOP_SERVER);
+    await server.close();
 
+    removeSignalListeners();
+  }
   log(HostMessage.WILL_STOP);
 }
@@ -5,6 +5,8 @@
 import { RUNNER_TEMPLATES } from '../runner/messages.js';
 import { createSharedLogger } from '../shared/messages.js';
 
+import { describeTestSelection } from './select-tests.js';
+
 /** @enum {AriaATCIHost.HostLogType} */
 export const HostMessage = {
   /** @type {'start'} */
@@ -23,6 +25,12 @@ export const HostMessage = {
   STOP_SERVER: 'stopServer',
   /** @type {'stopDrivers'} */
   STOP_DRIVERS: 'stopDrivers',
+  /** @type {'reuseSessions'} */
+  REUSE_SESSIONS: 'reuseSessions',
+  /** @type {'discardSessions'} */
+  DISCARD_SESSIONS: 'discardSessions',
+  /** @type {'abandonSessions'} */
+  ABANDON_SESSIONS: 'abandonSessions',
   /** @type {'addServerDirectory'} */
   ADD_SERVER_DIRECTORY: 'addServerDirectory',
   /** @type {'removeServerDirectory'} */
@@ -31,27 +39,48 @@ export const HostMessage = {
   SERVER_LOG: 'serverLog',
   /** @type {'startTest'} */
   START_TEST: 'startTest',
+  /** @type {'resumeTest'} */
+  RESUME_TEST: 'resumeTest',
   /** @type {'reportingError'} */
   REPORTING_ERROR: 'reportingError',
   /** @type {'testError'} */
   TEST_ERROR: 'testError',
+  /** @type {'watchdogTimeout'} */
+  WATCHDOG_TIMEOUT: 'watchdogTimeout',
+  /** @type {'cancel'} */
+  CANCEL: 'cancel',
+  /** @type {'forceExit'} */
+  FORCE_EXIT: 'forceExit',
 };
 
 export const HOST_TEMPLATES = {
   [HostMessage.START]: () => `Starting...`,
   [HostMessage.UNCAUGHT_ERROR]: ({ error }) => `Uncaught error: ${error.message}`,
   [HostMessage.WILL_STOP]: () => `Stopping...`,
-  [HostMessage.PLAN_READ]: ({ name, tests, files }) =>
-    `Plan '${name}' with ${tests.length} tests and ${files.length} files read.`,
+  [HostMessage.PLAN_READ]: ({ name, tests, files, selection }) =>
+    `Plan '${name}' with ${tests.length} tests and ${files.length} files read.` +
+    (selection ? ` Selected tests with ${describeTestSelection(selection)}.` : ''),
   [HostMessage.START_SERVER]: () => `Starting reference server.`,
   [HostMessage.SERVER_LISTENING]: ({ url }) => `Reference server listening on '${url}'.`,
   [HostMessage.STOP_SERVER]: () => `Stopping reference server.`,
   [HostMessage.STOP_DRIVERS]: () => `Stopping drivers.`,
+  [HostMessage.REUSE_SESSIONS]: () => `Reusing the browser and AT sessions of the last plan.`,
+  [HostMessage.DISCARD_SESSIONS]: ({ error }) =>
+    `Unable to reuse the browser and AT sessions of the last plan: ${error}`,
+  [HostMessage.ABANDON_SESSIONS]: ({ wait }) =>
+    `The abandoned test did not stop within ${wait}ms, starting new browser and AT sessions.`,
   [HostMessage.ADD_SERVER_DIRECTORY]: ({ url }) => `Reference available on '${url}'.`,
   [HostMessage.REMOVE_SERVER_DIRECTORY]: ({ url }) => `Removing reference from '${url}'.`,
   [HostMessage.SERVER_LOG]: ({ text }) => `[Server]: ${text}`,
   [HostMessage.START_TEST]: () => `Starting test.`,
+  [HostMessage.RESUME_TEST]: ({ id, title }) =>
+    `Test ${id} '${title}' finished in an earlier run, not running it again.`,
   [HostMessage.TEST_ERROR]: ({ error }) => `Test Error ${error}`,
+  [HostMessage.WATCHDOG_TIMEOUT]: ({ message, onTimeout }) =>
+    `${message}. ${onTimeout === 'stop' ? 'Stopping.' : 'Continuing with the next test.'}`,
+  [HostMessage.CANCEL]: ({ signal }) =>
+    `Received ${signal}, stopping after the current command. Send it again to stop now.`,
+  [HostMessage.FORCE_EXIT]: ({ signal }) => `Received ${signal} again, stopping now.`,
   [HostMessage.REPORTING_ERROR]: ({ status, body }) =>
     `HTTP ${status} response received when reporting result: '${body}'.`,
 };
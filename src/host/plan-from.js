@@ -8,7 +8,13 @@ import { compileGlob } from '../shared/file-glob.js';
 import { createHost } from '../shared/file-record.js';
 
 import { HostMessage } from './messages.js';
-import { blankTestPlan, addFileToTestPlan, addTestToTestPlan } from './plan-object.js';
+import {
+  blankTestPlan,
+  addFileToTestPlan,
+  addTestToTestPlan,
+  setSelectionInTestPlan,
+} from './plan-object.js';
+import { compileTestSelection, isTestSelection } from './select-tests.js';
 
 /**
  * @param {FileRecord.Record} record
@@ -28,16 +34,39 @@ function planFromRecord(record) {
  * @param {AriaATCIHost.TestPlan} plan
  * @param {object} options
  * @param {string} options.pattern
+ * @param {AriaATCIHost.TestSelection} [options.selection] filters of the test
+ *   files' parsed JSON
  * @returns {AriaATCIHost.TestPlan}
  */
-function planSelectTests(plan, { pattern = '{,**/}test*' }) {
+function planSelectTests(plan, { pattern = '{,**/}test*', selection = {} }) {
   const isTestFile = compileGlob(pattern);
-  for (const { name } of plan.files) {
-    if (isTestFile(name)) {
+  const selecting = isTestSelection(selection);
+  const isSelected = selecting ? compileTestSelection(selection) : () => true;
+  const textDecoder = new TextDecoder();
+  for (const { name, bufferData } of plan.files) {
+    if (isTestFile(name) && (!selecting || isSelected(parseTest(name, bufferData)))) {
       plan = addTestToTestPlan(plan, name);
     }
   }
-  return plan;
+  return selecting
+    ? setSelectionInTestPlan(
+        plan,
+        Object.fromEntries(Object.entries(selection).filter(([, value]) => value !== undefined))
+      )
+    : plan;
+
+  /**
+   * @param {string} name
+   * @param {Uint8Array} bufferData
+   * @returns {AriaATCIData.CollectedTest}
+   */
+  function parseTest(name, bufferData) {
+    try {
+      return JSON.parse(textDecoder.decode(bufferData));
+    } catch (cause) {
+      throw new Error(`Unable to select tests: test file '${name}' is not JSON`, { cause });
+    }
+  }
 }
 
 async function planFrom({ workingdir, files }) {
@@ -61,12 +90,16 @@ async function planFromFiles({ workingdir, files }) {
  * @param {string[]} target.files
  * @param {object} [options]
  * @param {string} [options.testPattern]
+ * @param {AriaATCIHost.TestSelection} [options.selection]
  * @param {AriaATCIHost.Log} [options.log]
  * @returns {AsyncGenerator<AriaATCIHost.TestPlan>}
  */
-export async function* plansFrom({ workingdir, files }, { log = () => {}, testPattern } = {}) {
+export async function* plansFrom(
+  { workingdir, files },
+  { log = () => {}, testPattern, selection } = {}
+) {
   const plan = await planFromFiles({ workingdir, files });
-  const testPlan = planSelectTests(plan, { pattern: testPattern });
+  const testPlan = planSelectTests(plan, { pattern: testPattern, selection });
   log(HostMessage.PLAN_READ, testPlan);
   yield testPlan;
 }
@@ -45,6 +45,15 @@ export function setServerOptionsInTestPlan(testPlan, serverOptions) {
   return { ...testPlan, serverOptions: { ...testPlan.serverOptions, ...serverOptions } };
 }
 
+/**
+ * @param {AriaATCIHost.TestPlan} testPlan
+ * @param {AriaATCIHost.TestSelection} selection
+ * @returns {AriaATCIHost.TestPlan}
+ */
+export function setSelectionInTestPlan(testPlan, selection) {
+  return { ...testPlan, selection };
+}
+
 /**
  * @param {AriaATCIHost.TestPlan} testPlan
  * @param {string} filepath
@@ -102,6 +111,14 @@ export function addTestResultToTestPlan(testPlan, testFilepath, result) {
   };
 }
 
+/**
+ * @param {AriaATCIHost.TestPlan} testPlan
+ * @returns {AriaATCIHost.TestPlan}
+ */
+export function cancelTestPlan(testPlan) {
+  return { ...testPlan, cancelled: true };
+}
+
 /**
  * @param {*} serverOptions
  * @returns {AriaATCIHost.TestPlanServerOptionsPartial}
@@ -0,0 +1,116 @@
+/**
+ * @module host
+ */
+
+import { createRunner } from '../runner/create-test-runner.js';
+
+import { HostMessage } from './messages.js';
+
+/**
+ * Keeps test runners, and the browser and AT sessions they drive, open between
+ * test plans so each plan does not start a new browser and AT session.
+ */
+export class RunnerPool {
+  /**
+   * @param {object} options
+   * @param {AriaATCIHost.Log} options.log
+   * @param {boolean} [options.freshSessions] stop each runner when its plan
+   *   ends instead of keeping it for the next plan
+   * @param {typeof createRunner} [options.create]
+   */
+  constructor({ log, freshSessions = false, create = createRunner }) {
+    this.log = log;
+    this.freshSessions = freshSessions;
+    this._create = create;
+    /** @type {AriaATCIRunner.TestRunner[]} */
+    this._idle = [];
+    /**
+     * Stops the drivers of each runner the pool created.
+     * @type {Map<AriaATCIRunner.TestRunner, function(): void>}
+     */
+    this._stops = new Map();
+  }
+
+  /**
+   * Take an idle runner if one passes its health check, otherwise create one.
+   *
+   * @param {Omit<Parameters<typeof createRunner>[0], 'abortSignal'>} options
+   * @returns {Promise<AriaATCIRunner.TestRunner>}
+   */
+  async acquire(options) {
+    const { baseUrl } = options;
+    while (this._idle.length > 0) {
+      const runner = this._idle.shift();
+      if (runner.reuse) {
+        try {
+          await runner.reuse({ baseUrl });
+          this.log(HostMessage.REUSE_SESSIONS);
+          return runner;
+        } catch (error) {
+          this.log(HostMessage.DISCARD_SESSIONS, { error: error.message });
+        }
+      }
+      this._stop(runner);
+    }
+
+    /** @type {function(): void} */
+    let stop;
+    const abortSignal = new Promise(resolve => (stop = () => resolve()));
+    let runner;
+    try {
+      runner = await this._create({ ...options, abortSignal });
+    } catch (error) {
+      this.log(HostMessage.STOP_DRIVERS);
+      stop();
+      throw error;
+    }
+    this._stops.set(runner, stop);
+    return runner;
+  }
+
+  /**
+   * Return a runner whose plan has ended. It is kept for the next plan unless
+   * the pool is for fresh sessions.
+   *
+   * @param {AriaATCIRunner.TestRunner} runner
+   */
+  release(runner) {
+    if (this.freshSessions) {
+      this._stop(runner);
+    } else {
+      this._idle.push(runner);
+    }
+  }
+
+  /**
+   * Stop a runner whose sessions must not be used again, like one still
+   * running a test abandoned after a deadline.
+   *
+   * @param {AriaATCIRunner.TestRunner} runner
+   */
+  discard(runner) {
+    this._stop(runner);
+  }
+
+  /**
+   * Stop every runner the pool created.
+   */
+  close() {
+    this._idle = [];
+    for (const runner of Array.from(this._stops.keys())) {
+      this._stop(runner);
+    }
+  }
+
+  /**
+   * @param {AriaATCIRunner.TestRunner} runner
+   */
+  _stop(runner) {
+    const stop = this._stops.get(runner);
+    if (stop) {
+      this._stops.delete(runner);
+      this.log(HostMessage.STOP_DRIVERS);
+      stop();
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * @module host
+ */
+
+/**
+ * Parse ranges of presentation numbers like `3-7,12`.
+ *
+ * @param {string} text comma separated numbers and inclusive ranges of them
+ * @returns {[number, number][]} the first and last number of each range
+ * @throws {Error} when a part is not a number or range of numbers
+ */
+export function parseNumberRanges(text) {
+  return text.split(',').map(part => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?)\s*)?$/.exec(part);
+    if (!match) {
+      throw new Error(`'${part}' of '${text}' must be a number or a range of numbers like 3-7`);
+    }
+    const first = Number(match[1]);
+    const last = match[2] === undefined ? first : Number(match[2]);
+    if (last < first) {
+      throw new Error(`'${part}' of '${text}' must not end before it starts`);
+    }
+    return [first, last];
+  });
+}
+
+/**
+ * @param {AriaATCIHost.TestSelection} selection
+ * @returns {boolean} whether the selection filters any tests
+ */
+export function isTestSelection(selection) {
+  return Object.values(selection).some(value => value !== undefined);
+}
+
+/**
+ * Compile a selection into a check of parsed test JSON. A test is selected when
+ * it matches every filter of the selection, and a filter of several values
+ * when it matches any of them.
+ *
+ * @param {AriaATCIHost.TestSelection} selection
+ * @returns {function(AriaATCIData.CollectedTest): boolean}
+ */
+export function compileTestSelection({ testIds, presentationNumbers, titleGrep, commandIds }) {
+  const ranges = presentationNumbers === undefined ? null : parseNumberRanges(presentationNumbers);
+  const title = titleGrep === undefined ? null : new RegExp(titleGrep);
+  return ({ info, commands }) =>
+    (testIds === undefined || testIds.includes(String(info.testId))) &&
+    (ranges === null ||
+      (info.presentationNumber !== undefined &&
+        ranges.some(
+          ([first, last]) =>
+            Number(info.presentationNumber) >= first && Number(info.presentationNumber) <= last
+        ))) &&
+    (title === null || title.test(info.title ?? '')) &&
+    (commandIds === undefined || commands.some(({ id }) => commandIds.includes(id)));
+}
+
+/**
+ * @param {AriaATCIHost.TestSelection} selection
+ * @returns {string} the selection's filters, like `id 1, 2 and title /button/`
+ */
+export function describeTestSelection({ testIds, presentationNumbers, titleGrep, commandIds }) {
+  return [
+    testIds && `id ${testIds.join(', ')}`,
+    presentationNumbers && `presentation number ${presentationNumbers}`,
+    titleGrep && `title /${titleGrep}/`,
+    commandIds && `command ${commandIds.join(', ')}`,
+  ]
+    .filter(Boolean)
+    .join(' and ');
+}
@@ -1,4 +1,4 @@
-import { exec } from 'child_process';
+import { exec, spawn } from 'child_process';
 import * as path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -89,6 +89,101 @@ test('plan3 with callback request which fails with a faulty response body', asyn
   );
 });
 
+test('plan3 with verdict rules', async t => {
+  t.snapshot(
+    await spawnRunPlan([
+      '--plan-workingdir=fixtures/host-bin/plan3',
+      '"**"',
+      '--runner-mock',
+      '--debug',
+      '--verdict-rules=fixtures/host-bin/verdict-rules.json',
+      '--callback-url=http://callback.url/:testRowNumber',
+    ])
+  );
+});
+
+test('rejects deadlines and retry settings that are not valid numbers', async t => {
+  const rejected = [
+    ['--timeout-test=abc', '--timeout-test must be a number of at least 0'],
+    ['--timeout-call=-5', '--timeout-call must be a number of at least 0'],
+    ['--timeout-plan=Infinity', '--timeout-plan must be a number of at least 0'],
+    ['--retry-attempts=0', '--retry-attempts must be a whole number of at least 1'],
+    ['--retry-attempts=1.5', '--retry-attempts must be a whole number of at least 1'],
+    ['--retry-backoff=-1', '--retry-backoff must be a number of at least 0'],
+  ];
+  for (const [arg, message] of rejected) {
+    const stderr = await spawnRunPlanFailure([
+      '--plan-workingdir=fixtures/host-bin/plan1',
+      '"**"',
+      '--runner-mock',
+      arg,
+    ]);
+    t.is(stderr.trim().split('\n').pop(), message, arg);
+  }
+});
+
+test('plan3 against mock drivers answers with speech scripted for the page', async t => {
+  const { atDriverUrl, webDriverUrl } = await spawnMockDrivers(t, [
+    '--at-driver-script=fixtures/host-bin/mock-at-driver-script.json',
+  ]);
+  const { stdout } = await spawnRunPlan([
+    '--plan-workingdir=fixtures/host-bin/plan3',
+    '"**"',
+    `--at-driver-url=${atDriverUrl}`,
+    `--web-driver-url=${webDriverUrl}`,
+    '--time-after-nav=100',
+    '--time-mode-switch=100',
+    '--time-after-keys=500',
+    '--time-speech-idle=50',
+  ]);
+  const { tests } = JSON.parse(stdout);
+  t.deepEqual(
+    tests.map(({ results }) =>
+      results[0].commands.map(({ response, utterances }) => ({
+        response,
+        navigation: utterances
+          .filter(({ phase }) => phase === 'navigation')
+          .map(({ text }) => text),
+      }))
+    ),
+    [
+      [{ response: 'Example', navigation: ['Example document'] }],
+      [{ response: 'Example', navigation: ['Example document'] }],
+    ]
+  );
+});
+
+async function spawnMockDrivers(t, args) {
+  const dirname = path.dirname(fileURLToPath(import.meta.url));
+  const hostBin = path.join(dirname, '../../../bin/host.js');
+
+  const mock = spawn(
+    'node',
+    [hostBin, 'mock-web-driver', '--port=0', '--at-driver-port=0', ...args],
+    { cwd: dirname }
+  );
+  t.teardown(
+    () =>
+      new Promise(resolve => {
+        mock.once('exit', resolve);
+        mock.kill('SIGINT');
+      })
+  );
+
+  let stderr = '';
+  return await new Promise((resolve, reject) => {
+    mock.once('exit', code => reject(new Error(`mock-web-driver exited with ${code}: ${stderr}`)));
+    mock.stderr.on('data', data => {
+      stderr += data;
+      const atDriverUrl = /'(ws:[^']+)'/.exec(stderr)?.[1];
+      const webDriverUrl = /'(http:[^']+)'/.exec(stderr)?.[1];
+      if (atDriverUrl && webDriverUrl) {
+        resolve({ atDriverUrl, webDriverUrl });
+      }
+    });
+  });
+}
+
 async function spawnRunPlan(args) {
   const dirname = path.dirname(fileURLToPath(import.meta.url));
   const hostBin = path.join(dirname, '../../../bin/host.js');
@@ -113,6 +208,25 @@ async function spawnRunPlan(args) {
   };
 }
 
+async function spawnRunPlanFailure(args) {
+  const dirname = path.dirname(fileURLToPath(import.meta.url));
+  const hostBin = path.join(dirname, '../../../bin/host.js');
+
+  return await new Promise((resolve, reject) =>
+    exec(
+      ['node', hostBin, 'run-plan', ...args].join(' '),
+      { cwd: dirname },
+      (error, stdout, stderr) => {
+        if (!error) {
+          reject(new Error(`run-plan ${args.join(' ')} did not fail`));
+          return;
+        }
+        resolve(stderr.toString());
+      }
+    )
+  );
+}
+
 const ISO_DATE = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z/g;
 const DETERMINISTIC_DATE = '2000-01-01T12:00:00.000Z';
 const URL_PATHNAME_ONLY = /'\/[^/']+((?:\/[^/']*)*')/g;
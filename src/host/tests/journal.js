@@ -0,0 +1,86 @@
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+import test from 'ava';
+
+import { TestJournal } from '../journal.js';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * @param {string} name
+ * @param {string} text
+ */
+function testFile(name, text) {
+  return { name, bufferData: textEncoder.encode(text) };
+}
+
+async function journalFile(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'aria-at-journal-'));
+  t.teardown(() => fs.rm(directory, { recursive: true, force: true }));
+  return path.join(directory, 'journal.jsonl');
+}
+
+test('finds finished tests by plan and unchanged test file', async t => {
+  const file = await journalFile(t);
+  const writing = new TestJournal({ file });
+  await writing.append('plan', testFile('tests/test-1.json', 'one'), {
+    result: { testId: 1, commands: [] },
+    log: [],
+  });
+  await writing.append('plan', testFile('tests/test-2.json', 'two'), {
+    result: { testId: 2, commands: [] },
+    log: [],
+  });
+
+  const journal = new TestJournal({ entries: TestJournal.readEntries(file) });
+
+  t.deepEqual(journal.finished('plan', testFile('tests/test-1.json', 'one')).result, {
+    testId: 1,
+    commands: [],
+  });
+  t.is(journal.finished('plan', testFile('tests/test-2.json', 'changed')), undefined);
+  t.is(journal.finished('other plan', testFile('tests/test-1.json', 'one')), undefined);
+});
+
+test('ignores a last line cut short by the run stopping', async t => {
+  const file = await journalFile(t);
+  await fs.writeFile(
+    file,
+    '{"plan":"plan","filepath":"a","hash":"1","result":{},"log":[]}\n{"plan'
+  );
+
+  t.deepEqual(
+    TestJournal.readEntries(file).map(({ filepath }) => filepath),
+    ['a']
+  );
+
+  await fs.writeFile(file, '{"plan\n{}\n');
+  t.throws(() => TestJournal.readEntries(file), { message: /line 1 is not JSON/ });
+});
+
+test('fails to read a missing journal', t => {
+  t.throws(() => TestJournal.readEntries(path.join(os.tmpdir(), 'aria-at-missing.jsonl')), {
+    message: /Unable to read journal/,
+  });
+});
+
+test('appends after a last line cut short, so the journal can be resumed again', async t => {
+  const file = await journalFile(t);
+  await fs.writeFile(
+    file,
+    '{"plan":"plan","filepath":"a","hash":"1","result":{},"log":[]}\n{"plan'
+  );
+
+  // Resuming from and appending to the same journal, twice.
+  for (const name of ['b', 'c']) {
+    const journal = new TestJournal({ file, entries: TestJournal.readEntries(file) });
+    await journal.append('plan', testFile(name, name), { result: {}, log: [] });
+  }
+
+  t.deepEqual(
+    TestJournal.readEntries(file).map(({ filepath }) => filepath),
+    ['a', 'b', 'c']
+  );
+});
@@ -0,0 +1,391 @@
+import { EventEmitter } from 'events';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+import test from 'ava';
+
+import { RunnerMessage } from '../../runner/messages.js';
+import { TestJournal } from '../journal.js';
+import { hostMain } from '../main.js';
+import { HostMessage, createHostLogger } from '../messages.js';
+import { plansFrom } from '../plan-from.js';
+import { HostServer } from '../server.js';
+
+const plan3 = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/host-bin/plan3');
+
+/**
+ * Run plan3 with the mock runner, emitting `signalsAtStart` from `signals`
+ * when the first test starts.
+ *
+ * @param {string[]} signalsAtStart
+ */
+async function runPlan3(signalsAtStart) {
+  const signals = new EventEmitter();
+  const logger = createHostLogger();
+  const logs = [];
+  logger.emitter.on('message', ({ data }) => {
+    logs.push(data.type);
+    if (data.type === HostMessage.START_TEST && logs.indexOf(data.type) === logs.length - 1) {
+      signalsAtStart.forEach(signal => signals.emit(signal));
+    }
+  });
+
+  const plans = [];
+  const callbacks = [];
+  const forcedExits = [];
+  await hostMain({
+    // The host's Logger and ReferenceFileServer types do not match the
+    // classes that implement them.
+    logger: /** @type {*} */ (logger),
+    plans: plansFrom({ workingdir: plan3, files: ['**'] }),
+    server: /** @type {*} */ (new HostServer({ log: logger.log })),
+    runner: null,
+    emitPlanResults: plan => {
+      plans.push(plan);
+    },
+    callbackUrl: 'http://callback.url/:testRowNumber',
+    fetch: /** @type {*} */ (
+      async (url, { body }) => {
+        callbacks.push(JSON.parse(body));
+        return { ok: true };
+      }
+    ),
+    runnerMock: true,
+    webDriverUrl: null,
+    webDriverBrowser: 'firefox',
+    atDriverUrl: null,
+    signals,
+    forceExit: signal => forcedExits.push(signal),
+  });
+
+  return { plans, callbacks, forcedExits, logs, signals };
+}
+
+test('a signal cancels the run and reports the finished part of the plan', async t => {
+  const { plans, callbacks, forcedExits, logs, signals } = await runPlan3(['SIGINT']);
+
+  t.is(plans.length, 1);
+  t.true(plans[0].cancelled);
+  t.is(plans[0].tests[0].results.length, 1);
+  t.true(plans[0].tests[0].results[0].cancelled);
+  t.deepEqual(plans[0].tests[0].results[0].commands, []);
+  t.deepEqual(plans[0].tests[1].results, []);
+  t.deepEqual(
+    callbacks.map(({ testCsvRow, status }) => ({ testCsvRow, status })),
+    [
+      { testCsvRow: 1, status: 'RUNNING' },
+      { testCsvRow: 1, status: 'CANCELLED' },
+      { testCsvRow: 2, status: 'CANCELLED' },
+    ]
+  );
+  t.deepEqual(forcedExits, []);
+  t.true(logs.includes(HostMessage.CANCEL));
+  t.is(signals.listenerCount('SIGINT'), 0);
+  t.is(signals.listenerCount('SIGTERM'), 0);
+});
+
+test('a second signal stops at once', async t => {
+  const { forcedExits, logs } = await runPlan3(['SIGTERM', 'SIGTERM']);
+
+  t.deepEqual(forcedExits, ['SIGTERM']);
+  t.true(logs.includes(HostMessage.FORCE_EXIT));
+});
+
+test('a run without signals completes', async t => {
+  const { plans, callbacks } = await runPlan3([]);
+
+  t.is(plans[0].cancelled, undefined);
+  t.deepEqual(
+    callbacks.map(({ status }) => status),
+    ['RUNNING', 'COMPLETED', 'RUNNING', 'COMPLETED']
+  );
+});
+
+/**
+ * Run plan3 with runners from `createRunner`, which record each test they run
+ * in `runs`.
+ *
+ * @param {object} options
+ * @param {function(*): Promise<AriaATCIRunner.TestRunner>} options.createRunner
+ * @param {*} [options.more] more options for hostMain
+ */
+async function runPlan3With({ createRunner, more = {} }) {
+  const logger = createHostLogger();
+  const plans = [];
+  const callbacks = [];
+  await hostMain({
+    logger: /** @type {*} */ (logger),
+    plans: plansFrom({ workingdir: plan3, files: ['**'] }),
+    server: /** @type {*} */ (new HostServer({ log: logger.log })),
+    runner: null,
+    emitPlanResults: plan => {
+      plans.push(plan);
+    },
+    callbackUrl: 'http://callback.url/:testRowNumber',
+    fetch: /** @type {*} */ (
+      async (url, { body }) => {
+        callbacks.push(JSON.parse(body));
+        return { ok: true };
+      }
+    ),
+    runnerMock: false,
+    webDriverUrl: null,
+    webDriverBrowser: 'firefox',
+    atDriverUrl: null,
+    createRunner: /** @type {*} */ (createRunner),
+    ...more,
+  });
+  return { plans, callbacks };
+}
+
+test('spreads tests across endpoints and reports them in plan order', async t => {
+  const runs = [];
+  const { plans, callbacks } = await runPlan3With({
+    createRunner: async ({ atDriverUrl }) => ({
+      async run({ info }) {
+        runs.push({ testId: info.testId, machine: atDriverUrl.hostname });
+        // The first test finishes after the second.
+        await new Promise(resolve => setTimeout(resolve, info.testId === 1 ? 50 : 0));
+        return {
+          testId: info.testId,
+          capabilities: { atName: atDriverUrl.hostname },
+          commands: [],
+        };
+      },
+    }),
+    more: {
+      endpoints: [
+        { atDriverUrl: new URL('ws://vm1:4382'), webDriverUrl: new URL('http://vm1:4444') },
+        { atDriverUrl: new URL('ws://vm2:4382'), webDriverUrl: new URL('http://vm2:4444') },
+      ],
+    },
+  });
+
+  t.deepEqual(runs, [
+    { testId: 1, machine: 'vm1' },
+    { testId: 2, machine: 'vm2' },
+  ]);
+  t.deepEqual(
+    plans[0].tests.map(({ id, results }) => ({ id, atName: results[0].capabilities.atName })),
+    [
+      { id: 1, atName: 'vm1' },
+      { id: 2, atName: 'vm2' },
+    ]
+  );
+  t.deepEqual(
+    callbacks.map(({ testCsvRow, status }) => `${testCsvRow} ${status}`),
+    ['1 RUNNING', '2 RUNNING', '2 COMPLETED', '1 COMPLETED']
+  );
+});
+
+test('resumes a run from its journal without running finished tests again', async t => {
+  const journalDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aria-at-journal-'));
+  t.teardown(() => fs.rm(journalDir, { recursive: true, force: true }));
+  const file = path.join(journalDir, 'journal.jsonl');
+
+  // The first run fails at its second test.
+  const crashed = runPlan3With({
+    createRunner: async ({ log }) => ({
+      async run({ info }) {
+        if (info.testId === 2) {
+          throw new Error('The AT crashed');
+        }
+        log(RunnerMessage.OPEN_PAGE, { url: 'about:blank' });
+        return { testId: info.testId, capabilities: { run: 'first' }, commands: [] };
+      },
+    }),
+    more: { journal: new TestJournal({ file }) },
+  });
+  await t.throwsAsync(crashed, { message: 'The AT crashed' });
+
+  const runs = [];
+  const { plans, callbacks } = await runPlan3With({
+    createRunner: async () => ({
+      async run({ info }) {
+        runs.push(info.testId);
+        return { testId: info.testId, capabilities: { run: 'second' }, commands: [] };
+      },
+    }),
+    more: { journal: new TestJournal({ file, entries: TestJournal.readEntries(file) }) },
+  });
+
+  t.deepEqual(runs, [2]);
+  t.deepEqual(
+    plans[0].tests.map(({ id, results, log }) => ({
+      id,
+      run: results[0].capabilities.run,
+      log: log.map(index => plans[0].log[index].data.type),
+    })),
+    [
+      { id: 1, run: 'first', log: [RunnerMessage.OPEN_PAGE] },
+      { id: 2, run: 'second', log: [] },
+    ]
+  );
+  t.deepEqual(
+    callbacks.map(({ testCsvRow, status }) => `${testCsvRow} ${status}`),
+    ['2 RUNNING', '2 COMPLETED']
+  );
+  t.is(TestJournal.readEntries(file).length, 2);
+});
+
+/**
+ * Create runners whose first test outlasts the deadlines below. Each run is
+ * recorded in `runs` with how many runs were active when it started.
+ *
+ * @param {object} options
+ * @param {number} options.firstRunTime milliseconds the first test takes
+ */
+function slowFirstRunner({ firstRunTime }) {
+  const runs = [];
+  const stopped = [];
+  let active = 0;
+  let created = 0;
+  const createRunner = async ({ abortSignal }) => {
+    const runner = created++;
+    abortSignal.then(() => stopped.push(runner));
+    return {
+      async run({ info }) {
+        runs.push({ testId: info.testId, runner, active });
+        active += 1;
+        try {
+          await new Promise(resolve => setTimeout(resolve, info.testId === 1 ? firstRunTime : 0));
+          return { testId: info.testId, capabilities: {}, commands: [] };
+        } finally {
+          active -= 1;
+        }
+      },
+    };
+  };
+  return { runs, stopped, createRunner };
+}
+
+test('waits for a test abandoned after its deadline before running the next', async t => {
+  const { runs, createRunner } = slowFirstRunner({ firstRunTime: 200 });
+  const { plans, callbacks } = await runPlan3With({
+    createRunner,
+    more: { timeoutTest: 50 },
+  });
+
+  t.deepEqual(runs, [
+    { testId: 1, runner: 0, active: 0 },
+    { testId: 2, runner: 0, active: 0 },
+  ]);
+  t.like(plans[0].tests[0].results[0], { timeout: { scope: 'test', timeout: 50 } });
+  t.deepEqual(plans[0].tests[1].results[0].commands, []);
+  t.is(plans[0].tests[1].results[0].timeout, undefined);
+  t.deepEqual(
+    callbacks.map(({ testCsvRow, status }) => `${testCsvRow} ${status}`),
+    ['1 RUNNING', '1 ERROR', '2 RUNNING', '2 COMPLETED']
+  );
+});
+
+test('starts new sessions when an abandoned test does not stop in time', async t => {
+  const { runs, stopped, createRunner } = slowFirstRunner({ firstRunTime: 500 });
+  const { plans } = await runPlan3With({
+    createRunner,
+    more: { timeoutTest: 50, abandonedRunWait: 50 },
+  });
+
+  t.deepEqual(runs, [
+    { testId: 1, runner: 0, active: 0 },
+    { testId: 2, runner: 1, active: 1 },
+  ]);
+  t.deepEqual(stopped, [0, 1]);
+  t.like(plans[0].tests[0].results[0], { timeout: { scope: 'test' } });
+  t.is(plans[0].tests[1].results[0].timeout, undefined);
+});
+
+test('a plan deadline reports the remaining tests without running them', async t => {
+  const { runs, createRunner } = slowFirstRunner({ firstRunTime: 200 });
+  const { plans, callbacks } = await runPlan3With({
+    createRunner,
+    more: { timeoutPlan: 50 },
+  });
+
+  t.deepEqual(
+    runs.map(({ testId }) => testId),
+    [1]
+  );
+  t.deepEqual(
+    plans[0].tests.map(({ results }) => results[0].timeout.scope),
+    ['plan', 'plan']
+  );
+  t.deepEqual(
+    callbacks.map(({ testCsvRow, status }) => `${testCsvRow} ${status}`),
+    ['1 RUNNING', '1 ERROR', '2 ERROR']
+  );
+});
+
+test('stops the run after a deadline with onTimeout stop', async t => {
+  const { runs, stopped, createRunner } = slowFirstRunner({ firstRunTime: 200 });
+  const plans = [];
+  await t.throwsAsync(
+    runPlan3With({
+      createRunner,
+      more: {
+        timeoutTest: 50,
+        onTimeout: 'stop',
+        emitPlanResults: plan => {
+          plans.push(plan);
+        },
+      },
+    }),
+    { message: /The test deadline of 50ms passed/ }
+  );
+
+  t.deepEqual(
+    runs.map(({ testId }) => testId),
+    [1]
+  );
+  t.deepEqual(stopped, [0]);
+  t.is(plans.length, 1);
+  t.like(plans[0].tests[0].results[0], { timeout: { scope: 'test' } });
+  t.deepEqual(plans[0].tests[1].results, []);
+});
+
+test('a failed run removes its signal listeners', async t => {
+  const signals = new EventEmitter();
+  await t.throwsAsync(
+    runPlan3With({
+      createRunner: async () => {
+        throw new Error('No browser');
+      },
+      more: { signals },
+    }),
+    { message: 'No browser' }
+  );
+
+  t.is(signals.listenerCount('SIGINT'), 0);
+  t.is(signals.listenerCount('SIGTERM'), 0);
+});
+
+test('callbacks send one response per command and group "or" alternatives', async t => {
+  const { plans, callbacks } = await runPlan3With({
+    createRunner: async () => ({
+      async run({ info }) {
+        return {
+          testId: info.testId,
+          capabilities: {},
+          commands: [
+            { command: 'DOWN', response: 'down', assertions: [] },
+            { command: 'TAB', alternative: 'tab', response: 'first', assertions: [] },
+            { command: 'TAB', alternative: 'shift+tab', response: 'second', assertions: [] },
+          ],
+        };
+      },
+    }),
+  });
+
+  t.is(plans[0].tests[0].results[0].commands.length, 3);
+  const completed = callbacks.find(({ status }) => status === 'COMPLETED');
+  t.deepEqual(completed.responses, ['down', 'first']);
+  t.deepEqual(completed.alternatives, [
+    null,
+    [
+      { keys: 'tab', response: 'first' },
+      { keys: 'shift+tab', response: 'second' },
+    ],
+  ]);
+});
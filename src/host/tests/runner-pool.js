@@ -0,0 +1,119 @@
+import test from 'ava';
+
+import { HostMessage } from '../messages.js';
+import { RunnerPool } from '../runner-pool.js';
+
+/**
+ * A RunnerPool whose runners record the plans they are reused for and whether
+ * their drivers were stopped.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.freshSessions]
+ * @param {function(URL): void} [options.checkReuse] throws to fail the health
+ *   check of a reused runner
+ */
+function createPool({ freshSessions = false, checkReuse = () => {} } = {}) {
+  const logs = [];
+  const runners = [];
+  const pool = new RunnerPool({
+    log: (type, more) => logs.push({ type, ...more }),
+    freshSessions,
+    create: /** @type {*} */ (
+      async ({ baseUrl, abortSignal }) => {
+        const runner = {
+          baseUrls: [baseUrl],
+          stopped: false,
+          async run() {
+            return { capabilities: {}, commands: [] };
+          },
+          async reuse({ baseUrl }) {
+            checkReuse(baseUrl);
+            runner.baseUrls.push(baseUrl);
+          },
+        };
+        abortSignal.then(() => (runner.stopped = true));
+        runners.push(runner);
+        return runner;
+      }
+    ),
+  });
+  return { pool, logs, runners };
+}
+
+/**
+ * @param {string} plan
+ */
+function optionsFor(plan) {
+  return /** @type {*} */ ({ baseUrl: new URL(`http://localhost/${plan}/`) });
+}
+
+test('reuses the runner of the last plan', async t => {
+  const { pool, logs, runners } = createPool();
+
+  const first = await pool.acquire(optionsFor('plan1'));
+  pool.release(first);
+  const second = await pool.acquire(optionsFor('plan2'));
+
+  t.is(second, first);
+  t.is(runners.length, 1);
+  t.deepEqual(
+    runners[0].baseUrls.map(({ pathname }) => pathname),
+    ['/plan1/', '/plan2/']
+  );
+  t.deepEqual(
+    logs.map(({ type }) => type),
+    [HostMessage.REUSE_SESSIONS]
+  );
+
+  pool.release(second);
+  pool.close();
+  await Promise.resolve();
+  t.true(runners[0].stopped);
+});
+
+test('replaces a runner whose sessions fail their health check', async t => {
+  const { pool, logs, runners } = createPool({
+    checkReuse: () => {
+      throw new Error('The AT-Driver connection closed');
+    },
+  });
+
+  pool.release(await pool.acquire(optionsFor('plan1')));
+  await pool.acquire(optionsFor('plan2'));
+  await Promise.resolve();
+
+  t.is(runners.length, 2);
+  t.true(runners[0].stopped);
+  t.false(runners[1].stopped);
+  t.deepEqual(logs, [
+    { type: HostMessage.DISCARD_SESSIONS, error: 'The AT-Driver connection closed' },
+    { type: HostMessage.STOP_DRIVERS },
+  ]);
+});
+
+test('starts fresh sessions for each plan when asked to', async t => {
+  const { pool, runners } = createPool({ freshSessions: true });
+
+  pool.release(await pool.acquire(optionsFor('plan1')));
+  await pool.acquire(optionsFor('plan2'));
+  await Promise.resolve();
+
+  t.is(runners.length, 2);
+  t.true(runners[0].stopped);
+  t.false(runners[1].stopped);
+});
+
+test('stops the drivers of a runner it failed to create', async t => {
+  const logs = [];
+  const pool = new RunnerPool({
+    log: type => logs.push(type),
+    create: async () => {
+      throw new Error('Error initializing browser driver');
+    },
+  });
+
+  await t.throwsAsync(pool.acquire(optionsFor('plan1')), {
+    message: 'Error initializing browser driver',
+  });
+  t.deepEqual(logs, [HostMessage.STOP_DRIVERS]);
+});
@@ -0,0 +1,86 @@
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+import test from 'ava';
+
+import { plansFrom } from '../plan-from.js';
+import {
+  compileTestSelection,
+  describeTestSelection,
+  parseNumberRanges,
+} from '../select-tests.js';
+
+const plan3 = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/host-bin/plan3');
+
+/**
+ * @param {*} info
+ * @param {string[]} [commandIds]
+ * @returns {*}
+ */
+function collectedTest(info, commandIds = []) {
+  return { info, commands: commandIds.map(id => ({ id })) };
+}
+
+test('parseNumberRanges', t => {
+  t.deepEqual(parseNumberRanges('3-7,12'), [
+    [3, 7],
+    [12, 12],
+  ]);
+  t.deepEqual(parseNumberRanges(' 1.5 - 2 '), [[1.5, 2]]);
+  t.throws(() => parseNumberRanges('3-'), { message: /must be a number or a range/ });
+  t.throws(() => parseNumberRanges('7-3'), { message: /must not end before it starts/ });
+});
+
+test('selects tests matching every filter and any of its values', t => {
+  const isSelected = compileTestSelection({
+    presentationNumbers: '3-7,12',
+    titleGrep: '^Navigate',
+    commandIds: ['TAB', 'UP_ARROW,DOWN_ARROW'],
+  });
+
+  t.true(isSelected(collectedTest({ presentationNumber: '12', title: 'Navigate' }, ['TAB'])));
+  t.true(
+    isSelected(
+      collectedTest({ presentationNumber: '4', title: 'Navigate to a button' }, [
+        'UP_ARROW,DOWN_ARROW',
+      ])
+    )
+  );
+  t.false(isSelected(collectedTest({ presentationNumber: '8', title: 'Navigate' }, ['TAB'])));
+  t.false(isSelected(collectedTest({ title: 'Navigate' }, ['TAB'])));
+  t.false(isSelected(collectedTest({ presentationNumber: '3', title: 'Open' }, ['TAB'])));
+  t.false(isSelected(collectedTest({ presentationNumber: '3', title: 'Navigate' }, ['DOWN'])));
+
+  const byId = compileTestSelection({ testIds: ['2', 'toggle-button'] });
+  t.true(byId(collectedTest({ testId: 2 })));
+  t.true(byId(collectedTest({ testId: 'toggle-button' })));
+  t.false(byId(collectedTest({ testId: 1 })));
+});
+
+test('describeTestSelection', t => {
+  t.is(
+    describeTestSelection({ testIds: ['1', '2'], titleGrep: 'button' }),
+    'id 1, 2 and title /button/'
+  );
+});
+
+test('plansFrom selects tests by their content and records the selection', async t => {
+  const logs = [];
+  const plans = [];
+  for await (const plan of plansFrom(
+    { workingdir: plan3, files: ['**'] },
+    {
+      log: (type, data) => logs.push({ type, data }),
+      selection: { testIds: undefined, commandIds: ['UP_ARROW,DOWN_ARROW'] },
+    }
+  )) {
+    plans.push(plan);
+  }
+
+  t.deepEqual(
+    plans[0].tests.map(({ filepath }) => filepath),
+    ['tests/test-2.json']
+  );
+  t.deepEqual(plans[0].selection, { commandIds: ['UP_ARROW,DOWN_ARROW'] });
+  t.deepEqual(logs[0].data.selection, { commandIds: ['UP_ARROW,DOWN_ARROW'] });
+});
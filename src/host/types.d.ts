@@ -8,19 +8,34 @@ declare namespace AriaATCIHost {
     | 'serverListening'
     | 'stopServer'
     | 'stopDrivers'
+    | 'reuseSessions'
+    | 'discardSessions'
+    | 'abandonSessions'
     | 'addServerDirectory'
     | 'removeServerDirectory'
     | 'serverLog'
     | 'startTest'
+    | 'resumeTest'
     | 'reportingError'
     | 'testError'
+    | 'watchdogTimeout'
+    | 'cancel'
+    | 'forceExit'
     | 'atDriverComms'
     | 'openPage'
     | 'pressKeys'
     | 'speechEvent'
     | 'invalidKeys'
     | 'noRunTestSetup'
-    | 'capabilities';
+    | 'runSetup'
+    | 'setupFailed'
+    | 'capabilities'
+    | 'atDriverRecovery'
+    | 'speechCollected'
+    | 'keyAliasesExpanded'
+    | 'commandRetry'
+    | 'screenshotFailed'
+    | 'activeElementFailed';
 
   export type Log = AriaATCIShared.Log<HostLogType>;
 
@@ -42,6 +57,38 @@ declare namespace AriaATCIHost {
     }>;
     files: FileRecord.NamedRecord[];
     log: AriaATCIData.Log[];
+    /**
+     * Set when the run was cancelled before every test finished.
+     */
+    cancelled?: boolean;
+    /**
+     * The filters that selected the plan's tests, when tests were selected by
+     * their content.
+     */
+    selection?: TestSelection;
+  }
+
+  /**
+   * Filters of parsed test JSON. A test is selected when it matches every
+   * filter given.
+   */
+  export interface TestSelection {
+    /**
+     * Tests with any of these `info.testId`s.
+     */
+    testIds?: string[];
+    /**
+     * Tests whose `info.presentationNumber` is in these ranges, like `3-7,12`.
+     */
+    presentationNumbers?: string;
+    /**
+     * Tests whose `info.title` matches this regular expression.
+     */
+    titleGrep?: string;
+    /**
+     * Tests with a command of any of these ids.
+     */
+    commandIds?: string[];
   }
 
   export interface TestPlanServerOptionsPartial {
@@ -61,5 +108,28 @@ declare namespace AriaATCIHost {
     baseUrl: AriaATCIShared.BaseURL;
   }
 
+  /**
+   * An AT-Driver and WebDriver server pair on one machine, running a share
+   * of each plan's tests.
+   */
+  export interface Endpoint {
+    atDriverUrl: AriaATCIShared.BaseURL;
+    webDriverUrl: AriaATCIShared.BaseURL;
+  }
+
+  /**
+   * A test finished by a run, as written to its journal.
+   */
+  export interface JournalEntry {
+    plan: string;
+    filepath: string;
+    /**
+     * sha256 hash of the test file, in hex.
+     */
+    hash: string;
+    result: any;
+    log: AriaATCIData.Log[];
+  }
+
   export type EmitPlanResults = (plan: TestPlan) => Promise<void> | void;
 }
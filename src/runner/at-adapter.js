@@ -0,0 +1,166 @@
+/**
+ * @module runner
+ */
+
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+
+import { SettingsProfiles } from './settings-profile.js';
+
+/**
+ * An AT adapter backed by a settings profile. NVDA and VoiceOver are supported
+ * by adapters built from their built-in profiles.
+ *
+ * @implements {AriaATCIRunner.ATAdapter}
+ */
+export class ProfileATAdapter {
+  /**
+   * @param {import('./settings-profile.js').SettingsProfile} profile
+   */
+  constructor(profile) {
+    this.profile = profile;
+    this.atName = profile.atName;
+  }
+
+  /**
+   * @param {AriaATCIRunner.ATAdapterContext} context
+   * @param {string[]} settings
+   */
+  async ensureSettings(context, settings) {
+    const steps = settings.map(setting => this.profile.step(setting));
+
+    for (const command of this.profile.before) {
+      await context.atDriver._send(command);
+    }
+    try {
+      for (const step of steps) {
+        if (step.command) {
+          await context.atDriver._send(step.command);
+        }
+        if (step.keys) {
+          await context.toggleSetting(step.keys, step.speech);
+        }
+      }
+    } finally {
+      for (const command of this.profile.after) {
+        await context.atDriver._send(command);
+      }
+    }
+  }
+
+  /**
+   * @param {AriaATCIRunner.ATAdapterContext} context
+   * @param {string} mode
+   */
+  async ensureMode(context, mode) {
+    const setting = this.profile.settingForMode(mode);
+    if (setting) {
+      await this.ensureSettings(context, [setting]);
+    }
+  }
+
+  /**
+   * @returns {AriaATCIRunner.KeyAliasTable}
+   */
+  keyAliases() {
+    return this.profile.keyAliases;
+  }
+}
+
+/**
+ * The AT adapters available to a run, chosen by the `atName` the AT-Driver
+ * session reports.
+ */
+export class ATAdapters {
+  /**
+   * @param {AriaATCIRunner.ATAdapter[]} adapters later adapters replace
+   *   earlier ones for the same AT
+   */
+  constructor(adapters) {
+    /** @type {Map<string, AriaATCIRunner.ATAdapter>} */
+    this._adapters = new Map();
+    for (const adapter of adapters) {
+      this._adapters.set(validateAdapter(adapter).atName.toLowerCase(), adapter);
+    }
+  }
+
+  /**
+   * Create a profile backed adapter for every settings profile.
+   *
+   * @param {SettingsProfiles} [settingsProfiles]
+   * @returns {ATAdapters}
+   */
+  static fromSettingsProfiles(settingsProfiles = SettingsProfiles.load()) {
+    return new ATAdapters([...settingsProfiles].map(profile => new ProfileATAdapter(profile)));
+  }
+
+  /**
+   * Create profile backed adapters for every settings profile, followed by the
+   * adapters exported by the modules at `modulePaths`.
+   *
+   * @param {object} options
+   * @param {SettingsProfiles} [options.settingsProfiles]
+   * @param {string[]} [options.modulePaths]
+   * @returns {Promise<ATAdapters>}
+   */
+  static async load({ settingsProfiles = SettingsProfiles.load(), modulePaths = [] } = {}) {
+    const modules = await Promise.all(modulePaths.map(loadATAdapterModule));
+    return new ATAdapters([
+      ...[...settingsProfiles].map(profile => new ProfileATAdapter(profile)),
+      ...modules.flat(),
+    ]);
+  }
+
+  /**
+   * @param {string} atName
+   * @returns {AriaATCIRunner.ATAdapter | undefined}
+   */
+  get(atName) {
+    return this._adapters.get(atName.toLowerCase());
+  }
+}
+
+/**
+ * Import a module whose default export is an AT adapter or an array of them.
+ *
+ * @param {string} modulePath
+ * @returns {Promise<AriaATCIRunner.ATAdapter[]>}
+ */
+export async function loadATAdapterModule(modulePath) {
+  let module;
+  try {
+    module = await import(pathToFileURL(path.resolve(modulePath)).toString());
+  } catch (cause) {
+    throw new Error(`Unable to load AT adapter from '${modulePath}'`, { cause });
+  }
+  if (!module.default) {
+    throw new Error(`AT adapter module '${modulePath}' must have a default export`);
+  }
+  return [].concat(module.default).map(adapter => validateAdapter(adapter, modulePath));
+}
+
+/**
+ * @param {*} adapter
+ * @param {string} [source]
+ * @returns {AriaATCIRunner.ATAdapter}
+ */
+function validateAdapter(adapter, source = 'inline') {
+  const invalid = message => new Error(`Invalid AT adapter (${source}): ${message}`);
+  if (!adapter || typeof adapter !== 'object') {
+    throw invalid('must be an object');
+  }
+  if (typeof adapter.atName !== 'string' || !adapter.atName) {
+    throw invalid('"atName" must be a non-empty string');
+  }
+  for (const method of ['ensureSettings', 'ensureMode']) {
+    if (typeof adapter[method] !== 'function') {
+      throw invalid(`"${method}" must be a function`);
+    }
+  }
+  for (const method of ['reset', 'normalizeSpeech', 'keyAliases']) {
+    if (adapter[method] !== undefined && typeof adapter[method] !== 'function') {
+      throw invalid(`"${method}" must be a function if given`);
+    }
+  }
+  return adapter;
+}
@@ -1,7 +1,14 @@
+import { EventEmitter } from 'events';
+
 import ws from 'ws';
 
 import { iterateEmitter } from '../shared/iterate-emitter.js';
 import { RunnerMessage } from './messages.js';
+import { WATCHDOG_TIMEOUT, withDeadline } from '../shared/watchdog.js';
+
+// AT-Driver methods always contain a '.', so this name cannot collide with an
+// event method.
+const CLOSED_EVENT = 'close';
 
 /**
  * @param {object} options
@@ -11,47 +18,166 @@ import { RunnerMessage } from './messages.js';
  * @param {number | string} [options.url.port]
  * @param {Promise<void>} [options.abortSignal]
  * @param {AriaATCIHost.Log} [options.log]
+ * @param {AriaATCIRunner.ATDriverReconnectOptions} [options.reconnect]
+ * @param {AriaATCIRunner.ATCapabilitiesRequest} [options.capabilities] capabilities the
+ *   session must satisfy
+ * @param {number} [options.callTimeout] milliseconds to wait for each response
  * @returns {Promise<ATDriver>}
  */
 export async function createATDriver({
   url: { hostname = 'localhost', port = 4382, pathname = '/session' } = {},
   abortSignal,
   log,
+  reconnect,
+  capabilities,
+  callTimeout,
 } = {}) {
   if (!abortSignal) process.exit(1);
   const url = `ws://${hostname}:${port}${pathname}`;
-  log(RunnerMessage.AT_DRIVER_COMMS, { direction: 'connect', message: url });
-  const socket = new ws(url);
-  const driver = new ATDriver({ socket, log });
+  const connect = () => {
+    log(RunnerMessage.AT_DRIVER_COMMS, { direction: 'connect', message: url });
+    return new ws(url);
+  };
+  const driver = new ATDriver({
+    socket: connect(),
+    log,
+    connect,
+    reconnect,
+    capabilities,
+    callTimeout,
+  });
   await driver.ready;
   abortSignal.then(() => driver.quit());
   return driver;
 }
 
+/**
+ * `code` of errors caused by losing the connection to the AT-Driver server.
+ */
+export const AT_DRIVER_CONNECTION_LOST = 'AT_DRIVER_CONNECTION_LOST';
+
+/**
+ * Event some AT-Driver servers send once the AT has finished speaking.
+ */
+export const SPEECH_ENDED_EVENT = 'interaction.speechEnded';
+
+/**
+ * Matches `settings.setSettings` and vendor prefixed forms like
+ * `nvda:settings.setSettings`, capturing the prefix.
+ */
+const SET_SETTINGS_METHOD = /^((?:[^:]+:)?)settings\.setSettings$/;
+
+/**
+ * Longest time in milliseconds to wait for the values of settings about to be
+ * changed, so a server that does not answer `settings.getSettings` does not
+ * hold up `settings.setSettings`.
+ */
+const GET_SETTINGS_TIMEOUT = 1000;
+
+/**
+ * A client for an AT-Driver server.
+ *
+ * A single reader dispatches every message from the socket: responses settle
+ * the pending request with the same id and events are fanned out to
+ * subscribers of their method.
+ */
 export class ATDriver {
-  constructor({ socket, log }) {
-    this.socket = socket;
+  /**
+   * @param {object} options
+   * @param {*} options.socket
+   * @param {AriaATCIHost.Log} options.log
+   * @param {function(): *} [options.connect] open a new socket to the same server
+   * @param {AriaATCIRunner.ATDriverReconnectOptions} [options.reconnect]
+   * @param {AriaATCIRunner.ATCapabilitiesRequest} [options.capabilities]
+   * @param {number} [options.callTimeout] milliseconds to wait for each
+   *   response, unbounded if 0
+   */
+  constructor({
+    socket,
+    log,
+    connect = null,
+    reconnect = { attempts: 0, delay: 1000 },
+    capabilities = {},
+    callTimeout = 0,
+  }) {
     this.log = log;
+    /** @type {AriaATCIRunner.ATCapabilitiesRequest} */
+    this.requestedCapabilities = capabilities;
+    this._connect = connect;
+    this.reconnectOptions = reconnect;
+    this.callTimeout = callTimeout;
+    /** @type {Map<number, {method: string, resolve: function(*): void, reject: function(Error): void}>} */
+    this._pending = new Map();
+    this._events = new EventEmitter();
+    this._nextId = 0;
+    /**
+     * Settings applied with a `settings.setSettings` command (or a vendor
+     * prefixed form), by method and then by setting name.
+     * @type {Map<string, Map<string, *>>}
+     */
+    this._appliedSettings = new Map();
+    /**
+     * Values settings had before a `settings.setSettings` command first
+     * changed them, by method and then by setting name. A setting the server
+     * did not report a value for is undefined.
+     * @type {Map<string, Map<string, *>>}
+     */
+    this._initialSettings = new Map();
+    this._quitting = false;
+
+    this.ready = this._attach(socket);
+  }
+
+  /**
+   * @param {*} socket
+   * @returns {Promise<void>} resolves once a session is open on the socket
+   */
+  _attach(socket) {
+    this.socket = socket;
+    this.hasClosed = false;
+
     const connected = new Promise((resolve, reject) => {
       socket.once('open', () => resolve());
       socket.once('error', err => reject(err));
     });
-    this.ready = connected.then(() =>
-      this._send({ method: 'session.new', params: { capabilities: {} } }).then(
-        ({ result: { capabilities } }) => {
-          this._capabilities = capabilities;
-        }
-      )
-    );
-    this.hasClosed = false;
+    socket.on('message', rawMessage => this._dispatch(rawMessage));
     this.closed = new Promise(resolve =>
       socket.once('close', () => {
+        resolve();
+        // A socket replaced by reconnecting no longer owns the driver's state.
+        if (socket !== this.socket) return;
         this.hasClosed = true;
         this.log(RunnerMessage.AT_DRIVER_COMMS, { direction: 'closed' });
-        resolve();
+        for (const [id, { method, reject }] of this._pending) {
+          this._pending.delete(id);
+          reject(
+            connectionLostError(
+              `AT-Driver connection closed while waiting for a response to '${method}'`
+            )
+          );
+        }
+        this._events.emit(CLOSED_EVENT);
       })
     );
-    this._nextId = 0;
+
+    return connected.then(async () => {
+      try {
+        const {
+          result: { capabilities },
+        } = await this._send({
+          method: 'session.new',
+          params: { capabilities: this.requestedCapabilities },
+        });
+        const mismatch = capabilitiesMismatch(this.requestedCapabilities, capabilities);
+        if (mismatch) {
+          throw new Error(`AT-Driver session does not satisfy the requested ${mismatch}`);
+        }
+        this._capabilities = capabilities;
+      } catch (error) {
+        socket.close();
+        throw error;
+      }
+    });
   }
 
   async getCapabilities() {
@@ -60,51 +186,241 @@ export class ATDriver {
   }
 
   async quit() {
+    this._quitting = true;
     this.log(RunnerMessage.AT_DRIVER_COMMS, { direction: 'close' });
     this.socket.close();
     await this.closed;
   }
 
-  async *_messages() {
-    if (this.hasClosed) throw new Error('AT-Driver connection unexpectedly closed');
-    for await (const rawMessage of iterateEmitter(this.socket, 'message', 'close', 'error')) {
-      const message = rawMessage.toString();
-      this.log(RunnerMessage.AT_DRIVER_COMMS, { direction: 'inbound', message });
-      yield JSON.parse(message);
+  /**
+   * Whether a lost connection can be recovered with `reconnect`.
+   */
+  get canReconnect() {
+    return Boolean(this._connect) && this.reconnectOptions.attempts > 0 && !this._quitting;
+  }
+
+  /**
+   * Open a new connection and session, waiting longer before each attempt,
+   * then apply the settings that were last applied to the previous session.
+   */
+  async reconnect() {
+    const { attempts, delay } = this.reconnectOptions;
+    let lastError;
+    for (let attempt = 1; attempt <= attempts && !this._quitting; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, delay * 2 ** (attempt - 1)));
+      if (!this.hasClosed) {
+        this.socket.terminate();
+        await this.closed;
+      }
+      try {
+        const ready = this._attach(this._connect());
+        await ready;
+        this.ready = ready;
+        for (const [method, settings] of this._appliedSettings) {
+          await this._send({
+            method,
+            params: { settings: Array.from(settings, ([name, value]) => ({ name, value })) },
+          });
+        }
+        return;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw new Error(`Unable to reconnect to AT-Driver after ${attempts} attempts`, {
+      cause: lastError,
+    });
+  }
+
+  /**
+   * @param {*} rawMessage
+   */
+  _dispatch(rawMessage) {
+    const text = rawMessage.toString();
+    this.log(RunnerMessage.AT_DRIVER_COMMS, { direction: 'inbound', message: text });
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+
+    if (message.id !== undefined && message.id !== null && this._pending.has(message.id)) {
+      const { resolve, reject } = this._pending.get(message.id);
+      this._pending.delete(message.id);
+      if (message.error) {
+        reject(new Error(message.message ? `${message.error}: ${message.message}` : message.error));
+      } else {
+        resolve(message);
+      }
+    } else if (typeof message.method === 'string') {
+      this._events.emit(message.method, message.params);
     }
   }
 
-  async _send(command) {
+  /**
+   * @param {*} command
+   * @param {object} [options]
+   * @param {number} [options.timeout] milliseconds to wait for the response,
+   *   unbounded if 0
+   */
+  async _send(command, { timeout = this.callTimeout } = {}) {
+    if (this.hasClosed) throw connectionLostError('AT-Driver connection unexpectedly closed');
+    // Asked for before, and answered ahead of, the command changing them.
+    const recordingInitialSettings = SET_SETTINGS_METHOD.test(command.method)
+      ? this._recordInitialSettings(command)
+      : null;
     const id = this._nextId++;
     const rawMessage = JSON.stringify({ id, ...command });
+    const response = new Promise((resolve, reject) => {
+      this._pending.set(id, { method: command.method, resolve, reject });
+    });
     this.log(RunnerMessage.AT_DRIVER_COMMS, { direction: 'outbound', message: rawMessage });
     await new Promise((resolve, reject) => {
       this.socket.send(rawMessage, error => {
-        if (error) reject(error);
-        else resolve();
+        if (error) {
+          this._pending.delete(id);
+          reject(error);
+        } else resolve();
       });
     });
-    for await (const message of this._messages()) {
-      if (message.id === id) {
-        if (message.error) {
-          throw new Error(message.error);
+    const message = await withDeadline(response, {
+      timeout,
+      scope: 'call',
+      phase: `AT-Driver ${command.method}`,
+      onTimeout: () => this._pending.delete(id),
+    });
+    if (SET_SETTINGS_METHOD.test(command.method)) {
+      const settings = this._appliedSettings.get(command.method) ?? new Map();
+      for (const { name, value } of command.params.settings) {
+        settings.set(name, value);
+      }
+      this._appliedSettings.set(command.method, settings);
+      await recordingInitialSettings;
+    }
+    return message;
+  }
+
+  /**
+   * Ask for the values of the settings a `settings.setSettings` command is
+   * about to change for the first time, so `resetSettings` can restore them.
+   * @param {{method: string, params: {settings: {name: string}[]}}} command
+   */
+  async _recordInitialSettings(command) {
+    const initial = this._initialSettings.get(command.method) ?? new Map();
+    this._initialSettings.set(command.method, initial);
+    const names = command.params.settings
+      .map(({ name }) => name)
+      .filter(name => !initial.has(name));
+    if (names.length === 0) {
+      return;
+    }
+    for (const name of names) {
+      initial.set(name, undefined);
+    }
+    try {
+      const {
+        result: { settings },
+      } = await this._send(
+        {
+          method: command.method.replace(SET_SETTINGS_METHOD, '$1settings.getSettings'),
+          params: { settings: names.map(name => ({ name })) },
+        },
+        {
+          timeout: this.callTimeout
+            ? Math.min(this.callTimeout, GET_SETTINGS_TIMEOUT)
+            : GET_SETTINGS_TIMEOUT,
         }
-        return message;
+      );
+      for (const { name, value } of settings) {
+        initial.set(name, value);
+      }
+    } catch {
+      // Settings whose values the server does not answer in time are not
+      // reset.
+    }
+  }
+
+  /**
+   * Make a round trip to the server, failing unless it answers within
+   * `timeout` milliseconds. Any answer shows the connection works, even an
+   * error from a server that only knows a vendor prefixed
+   * `settings.getSettings`.
+   *
+   * @param {object} options
+   * @param {number} options.timeout
+   */
+  async checkAlive({ timeout }) {
+    try {
+      await this._send({ method: 'settings.getSettings', params: { settings: [] } }, { timeout });
+    } catch (error) {
+      if (
+        this.hasClosed ||
+        error.code === AT_DRIVER_CONNECTION_LOST ||
+        error.code === WATCHDOG_TIMEOUT
+      ) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Restore every setting changed with `settings.setSettings` to its value
+   * before it was first changed.
+   */
+  async resetSettings() {
+    for (const [method, initial] of this._initialSettings) {
+      const settings = Array.from(initial, ([name, value]) => ({ name, value })).filter(
+        ({ value }) => value !== undefined
+      );
+      if (settings.length > 0) {
+        await this._send({ method, params: { settings } });
       }
     }
+    this._initialSettings.clear();
+    this._appliedSettings.clear();
+  }
+
+  /**
+   * Call listener with the params of every event with the given method until
+   * the returned function is called.
+   * @param {string} method
+   * @param {function(*): void} listener
+   * @returns {function(): void} unsubscribe
+   */
+  subscribe(method, listener) {
+    this._events.on(method, listener);
+    return () => this._events.off(method, listener);
+  }
+
+  /**
+   * Iterate the params of every event with the given method until the
+   * connection closes.
+   * @param {string} method
+   * @returns {AsyncGenerator<*>}
+   */
+  async *events(method) {
+    if (this.hasClosed) return;
+    yield* iterateEmitter(this._events, method, CLOSED_EVENT);
   }
 
   /**
-   * @param  {...(ATKey | ATKeyChord | ATKeySequence)} keys
+   * @param  {...(ATKey | ATKeyStep | ATKeySequence)} keys
    */
   async sendKeys(...keys) {
     // the sequence can be like ['UP', ATChord(['SHIFT', 'P'])]
     // the we loop over each "chord" (combo of keys to press) asking the driver
     // to press it, waiting for that keypress to finish, then pressing the next.
-    for (const chord of ATKey.sequence(...keys)) {
+    // Holds, repeats, and delays are resolved before anything is pressed.
+    for (const step of ATKey.sequence(...keys).toAtDriverSteps()) {
+      if ('delay' in step) {
+        await new Promise(resolve => setTimeout(resolve, step.delay));
+        continue;
+      }
       await this._send({
         method: 'interaction.pressKeys',
-        params: { keys: chord.toAtDriverKeyCodes() },
+        params: { keys: step.keys },
       });
     }
   }
@@ -113,12 +429,89 @@ export class ATDriver {
    * @returns {AsyncGenerator<string>}
    */
   async *speeches() {
-    for await (const message of this._messages()) {
-      if (message.method === 'interaction.capturedOutput') {
-        yield message.params.data;
-      }
+    for await (const params of this.events('interaction.capturedOutput')) {
+      yield params.data;
     }
   }
+
+  /**
+   * Call listener with every utterance the server captures, in the same order
+   * as other events.
+   * @param {function(string): void} listener
+   * @returns {function(): void} unsubscribe
+   */
+  onSpeech(listener) {
+    return this.subscribe('interaction.capturedOutput', ({ data }) => listener(data));
+  }
+
+  /**
+   * Call listener each time the server reports the AT finished speaking.
+   * @param {function(): void} listener
+   * @returns {function(): void} unsubscribe
+   */
+  onSpeechEnded(listener) {
+    return this.subscribe(SPEECH_ENDED_EVENT, () => listener());
+  }
+}
+
+/**
+ * Describe how AT-Driver session capabilities fail to satisfy a request.
+ *
+ * Like WebDriver, each `firstMatch` entry is merged with `alwaysMatch` and the
+ * request is satisfied if any merged entry matches. `atName` and
+ * `platformName` match case insensitively. `atVersion` matches the same
+ * version or a more specific one, so '2024' matches '2024.1'.
+ *
+ * @param {AriaATCIRunner.ATCapabilitiesRequest} request
+ * @param {AriaATCIRunner.ATCapabilities} capabilities
+ * @returns {string | null} a description of the mismatch, or null if satisfied
+ */
+export function capabilitiesMismatch(
+  { alwaysMatch = {}, firstMatch = [] } = {},
+  capabilities = {}
+) {
+  const candidates = (firstMatch.length > 0 ? firstMatch : [{}]).map(first => ({
+    ...alwaysMatch,
+    ...first,
+  }));
+  const mismatches = candidates.map(candidate =>
+    Object.entries(candidate)
+      .filter(([name, value]) => !capabilityMatches(name, value, capabilities[name]))
+      .map(([name, value]) => `${name} '${value}' (got '${capabilities[name]}')`)
+  );
+  if (mismatches.some(candidateMismatches => candidateMismatches.length === 0)) {
+    return null;
+  }
+  return `capabilities: ${mismatches
+    .map(candidateMismatches => candidateMismatches.join(', '))
+    .join('; or ')}`;
+}
+
+/**
+ * @param {string} name
+ * @param {*} requested
+ * @param {*} actual
+ * @returns {boolean}
+ */
+function capabilityMatches(name, requested, actual) {
+  if (requested === undefined || requested === null) {
+    return true;
+  }
+  if (typeof actual !== 'string' || typeof requested !== 'string') {
+    return requested === actual;
+  }
+  if (name === 'atVersion') {
+    return actual === requested || actual.startsWith(`${requested}.`);
+  }
+  return actual.toLowerCase() === requested.toLowerCase();
+}
+
+/**
+ * @param {string} message
+ * @returns {Error}
+ */
+function connectionLostError(message) {
+  return Object.assign(new Error(message), { code: AT_DRIVER_CONNECTION_LOST });
 }
 
 // https://w3c.github.io/webdriver/#keyboard-actions
@@ -244,40 +637,77 @@ export class ATKey {
     return new ATKeyChord(keys);
   }
   /**
-   * @param  {...(ATKey | ATKeyChord | ATKeySequence)} sequence
+   * Hold keys down. Held keys are added to every chord pressed until they are
+   * released with `ATKey.keyUp`.
+   * @param  {...ATKey} keys
+   * @returns {ATKeyDown}
+   */
+  static keyDown(...keys) {
+    return new ATKeyDown(keys);
+  }
+  /**
+   * @param  {...ATKey} keys
+   * @returns {ATKeyUp}
+   */
+  static keyUp(...keys) {
+    return new ATKeyUp(keys);
+  }
+  /**
+   * @param {number} milliseconds
+   * @returns {ATKeyDelay}
+   */
+  static delay(milliseconds) {
+    return new ATKeyDelay(milliseconds);
+  }
+  /**
+   * @param  {...(ATKey | ATKeyStep | ATKeySequence)} sequence
    * @returns {ATKeySequence}
    */
   static sequence(...sequence) {
-    /** @type {ATKeyChord[]} */
+    /** @type {ATKeyStep[]} */
     const normalized = [];
     for (const item of sequence) {
-      if (item instanceof ATKeyChord) {
-        normalized.push(item);
-      } else if (item instanceof ATKey) {
+      if (item instanceof ATKey) {
         normalized.push(ATKey.chord(item));
       } else if (item instanceof ATKeySequence) {
         normalized.push(...item);
+      } else if (item) {
+        normalized.push(item);
       }
     }
     return new ATKeySequence(normalized);
   }
 }
 
+/**
+ * Keys pressed together and then released, `repeat` times in a row.
+ */
 export class ATKeyChord {
   /**
    * @param {ATKey[]} keys
+   * @param {number} [repeat]
    */
-  constructor(keys) {
+  constructor(keys, repeat = 1) {
     this.type = 'chord';
     this.keys = keys;
+    this.repeat = repeat;
   }
 
   *[Symbol.iterator]() {
     yield* this.keys;
   }
 
+  /**
+   * @param {number} repeat
+   * @returns {ATKeyChord}
+   */
+  times(repeat) {
+    return new ATKeyChord(this.keys, repeat);
+  }
+
   toString() {
-    return this.keys.join(' + ');
+    const chord = this.keys.join(' + ');
+    return this.repeat === 1 ? chord : `${chord} (${this.repeat} times)`;
   }
 
   toAtDriverKeyCodes() {
@@ -285,9 +715,55 @@ export class ATKeyChord {
   }
 }
 
+export class ATKeyDown {
+  /**
+   * @param {ATKey[]} keys
+   */
+  constructor(keys) {
+    this.type = 'keyDown';
+    this.keys = keys;
+  }
+
+  toString() {
+    return `hold ${this.keys.join(' + ')}`;
+  }
+}
+
+export class ATKeyUp {
+  /**
+   * @param {ATKey[]} keys
+   */
+  constructor(keys) {
+    this.type = 'keyUp';
+    this.keys = keys;
+  }
+
+  toString() {
+    return `release ${this.keys.join(' + ')}`;
+  }
+}
+
+export class ATKeyDelay {
+  /**
+   * @param {number} milliseconds
+   */
+  constructor(milliseconds) {
+    this.type = 'delay';
+    this.milliseconds = milliseconds;
+  }
+
+  toString() {
+    return `wait ${this.milliseconds}ms`;
+  }
+}
+
+/**
+ * @typedef {ATKeyChord | ATKeyDown | ATKeyUp | ATKeyDelay} ATKeyStep
+ */
+
 export class ATKeySequence {
   /**
-   * @param {ATKeyChord[]} sequence
+   * @param {ATKeyStep[]} sequence
    */
   constructor(sequence) {
     this.type = 'sequence';
@@ -301,4 +777,44 @@ export class ATKeySequence {
   toString() {
     return this.sequence.join(', ');
   }
+
+  /**
+   * Resolve held keys, repeats, and delays into the `interaction.pressKeys`
+   * calls and waits that perform the sequence. AT-Driver only presses whole
+   * chords, so keys held with `keyDown` are pressed along with every chord
+   * until they are released.
+   *
+   * @returns {Array<{keys: string[]} | {delay: number}>}
+   */
+  toAtDriverSteps() {
+    /** @type {ATKey[]} */
+    let held = [];
+    const steps = [];
+    for (const step of this.sequence) {
+      if (step instanceof ATKeyChord) {
+        const codes = [
+          ...held.map(({ codePoint }) => codePoint),
+          ...step.toAtDriverKeyCodes().filter(code => !held.some(key => key.codePoint === code)),
+        ];
+        for (let i = 0; i < step.repeat; i++) {
+          steps.push({ keys: codes });
+        }
+      } else if (step instanceof ATKeyDown) {
+        held.push(...step.keys.filter(key => !held.some(h => h.codePoint === key.codePoint)));
+      } else if (step instanceof ATKeyUp) {
+        for (const key of step.keys) {
+          if (!held.some(({ codePoint }) => codePoint === key.codePoint)) {
+            throw new Error(`Unable to release '${key}', it is not held`);
+          }
+          held = held.filter(({ codePoint }) => codePoint !== key.codePoint);
+        }
+      } else if (step instanceof ATKeyDelay) {
+        steps.push({ delay: step.milliseconds });
+      }
+    }
+    if (held.length > 0) {
+      throw new Error(`'${held.join(' + ')}' is held but never released`);
+    }
+    return steps;
+  }
 }
@@ -0,0 +1,76 @@
+/**
+ * ARIA states and properties recorded for the focused element, when it has
+ * them.
+ */
+export const ARIA_STATES = [
+  'aria-activedescendant',
+  'aria-busy',
+  'aria-checked',
+  'aria-controls',
+  'aria-current',
+  'aria-describedby',
+  'aria-disabled',
+  'aria-expanded',
+  'aria-haspopup',
+  'aria-hidden',
+  'aria-invalid',
+  'aria-level',
+  'aria-modal',
+  'aria-multiselectable',
+  'aria-posinset',
+  'aria-pressed',
+  'aria-readonly',
+  'aria-required',
+  'aria-selected',
+  'aria-setsize',
+  'aria-sort',
+  'aria-valuemax',
+  'aria-valuemin',
+  'aria-valuenow',
+  'aria-valuetext',
+];
+
+/**
+ * Describe `document.activeElement`. This function is serialized and runs in
+ * the test page, so it may only use its arguments and the page's globals.
+ *
+ * @param {string[]} states names of the ARIA attributes to record
+ * @returns {AriaATCIData.ElementSnapshot | null}
+ */
+export function activeElementSnapshot(states) {
+  // The TypeScript compiler is not configured with the DOM's types.
+  const { document } = /** @type {*} */ (globalThis);
+  const element = document.activeElement;
+  if (!element) {
+    return null;
+  }
+  const labelledby = element.getAttribute('aria-labelledby');
+  const textOf = node => (node.textContent || '').replace(/\s+/g, ' ').trim();
+  /** @type {Object<string, string>} */
+  const stateValues = {};
+  for (const state of states) {
+    if (element.hasAttribute(state)) {
+      stateValues[state] = element.getAttribute(state);
+    }
+  }
+  return {
+    tagName: element.tagName.toLowerCase(),
+    id: element.id || null,
+    role: element.getAttribute('role'),
+    name: {
+      ariaLabel: element.getAttribute('aria-label'),
+      ariaLabelledby: labelledby,
+      labelledbyText: labelledby
+        ? labelledby
+            .split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(textOf)
+            .join(' ')
+        : null,
+      title: element.getAttribute('title'),
+      text: textOf(element).slice(0, 200),
+    },
+    states: stateValues,
+  };
+}
@@ -0,0 +1,93 @@
+import { Browser } from 'selenium-webdriver';
+import * as chrome from 'selenium-webdriver/chrome.js';
+import * as edge from 'selenium-webdriver/edge.js';
+import * as firefox from 'selenium-webdriver/firefox.js';
+
+/**
+ * Names of the browser options `--web-driver-options` accepts.
+ */
+export const BROWSER_OPTIONS = ['args', 'binary', 'prefs', 'profile', 'windowSize'];
+
+/**
+ * The selenium browser name of each browser the harness drives with WebDriver.
+ */
+export const SELENIUM_BROWSERS = {
+  chrome: Browser.CHROME,
+  edge: Browser.EDGE,
+  firefox: Browser.FIREFOX,
+};
+
+/**
+ * @param {*} options
+ * @returns {AriaATCIRunner.BrowserOptions}
+ * @throws {Error} when options has unknown members or a member of the wrong type
+ */
+export function validateBrowserOptions(options) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error(`browser options must be an object of ${BROWSER_OPTIONS.join(', ')}`);
+  }
+  for (const name of Object.keys(options)) {
+    if (!BROWSER_OPTIONS.includes(name)) {
+      throw new Error(`browser option "${name}" must be one of ${BROWSER_OPTIONS.join(', ')}`);
+    }
+  }
+  const { args, binary, prefs, profile, windowSize } = options;
+  if (args !== undefined && !(Array.isArray(args) && args.every(arg => typeof arg === 'string'))) {
+    throw new Error('browser option "args" must be an array of strings');
+  }
+  for (const [name, value] of Object.entries({ binary, profile })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new Error(`browser option "${name}" must be a path`);
+    }
+  }
+  if (prefs !== undefined && (typeof prefs !== 'object' || prefs === null)) {
+    throw new Error('browser option "prefs" must be an object of preference names and values');
+  }
+  if (
+    windowSize !== undefined &&
+    !(
+      typeof windowSize === 'object' &&
+      windowSize !== null &&
+      Number.isInteger(windowSize.width) &&
+      Number.isInteger(windowSize.height)
+    )
+  ) {
+    throw new Error('browser option "windowSize" must be an object of integer width and height');
+  }
+  return options;
+}
+
+/**
+ * Apply browser options to a `Builder` with the browser's selenium Options.
+ *
+ * @param {import('selenium-webdriver').Builder} builder
+ * @param {'chrome' | 'edge' | 'firefox'} browser
+ * @param {AriaATCIRunner.BrowserOptions} options
+ * @returns {import('selenium-webdriver').Builder}
+ */
+export function setBrowserOptions(builder, browser, options) {
+  const { args = [], binary, prefs, profile, windowSize } = options;
+
+  if (browser === 'firefox') {
+    const firefoxOptions = new firefox.Options();
+    if (args.length) firefoxOptions.addArguments(...args);
+    if (binary) firefoxOptions.setBinary(binary);
+    if (profile) firefoxOptions.setProfile(profile);
+    for (const [name, value] of Object.entries(prefs || {})) {
+      firefoxOptions.setPreference(name, value);
+    }
+    if (windowSize) firefoxOptions.windowSize(windowSize);
+    return builder.setFirefoxOptions(firefoxOptions);
+  }
+
+  const chromiumOptions = browser === 'edge' ? new edge.Options() : new chrome.Options();
+  if (args.length) chromiumOptions.addArguments(...args);
+  if (binary) chromiumOptions.setBinaryPath(binary);
+  // Chromium has no profile templates, it runs in the given profile directory.
+  if (profile) chromiumOptions.addArguments(`--user-data-dir=${profile}`);
+  if (prefs) chromiumOptions.setUserPreferences(prefs);
+  if (windowSize) chromiumOptions.windowSize(windowSize);
+  return browser === 'edge'
+    ? builder.setEdgeOptions(chromiumOptions)
+    : builder.setChromeOptions(chromiumOptions);
+}
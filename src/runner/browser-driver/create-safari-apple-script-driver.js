@@ -1,5 +1,7 @@
 import { execFile } from 'child_process';
 
+import { ARIA_STATES, activeElementSnapshot } from './active-element.js';
+
 /**
  * @param {string} source
  * @returns {Promise<string>}
@@ -87,6 +89,28 @@ export default async timesOption => {
       throw new Error(`Timed out while waiting to click button at "${selector}".`);
     },
 
+    // "do JavaScript" does not wait for promises, so a setup script's
+    // asynchronous work may still be running when this resolves.
+    async runSetupScript(source) {
+      const exception = await evalJavaScript(`
+        try {
+          new Function('testPageDocument', ${JSON.stringify(source)})(document);
+          '';
+        } catch (error) {
+          String(error);
+        }`);
+      if (exception) {
+        throw new Error(exception);
+      }
+    },
+
+    async activeElement() {
+      const snapshot = await evalJavaScript(
+        `JSON.stringify((${activeElementSnapshot})(${JSON.stringify(ARIA_STATES)}))`
+      );
+      return JSON.parse(snapshot);
+    },
+
     async getCapabilities() {
       const browserVersion = await execScript(`tell application "Safari"
         version
@@ -1,9 +1,27 @@
 import { Builder } from 'selenium-webdriver';
 import { until, By } from 'selenium-webdriver';
 
-/** @returns {Promise<AriaATCIRunner.BrowserDriver>} */
-export default async (browser, serverUrl) => {
-  const driver = await new Builder().forBrowser(browser).usingServer(serverUrl).build();
+import { ARIA_STATES, activeElementSnapshot } from './active-element.js';
+import { SELENIUM_BROWSERS, setBrowserOptions } from './browser-options.js';
+
+/**
+ * @param {'chrome' | 'edge' | 'firefox'} browser
+ * @param {string} serverUrl
+ * @param {object} [sessionOptions]
+ * @param {Object<string, *>} [sessionOptions.capabilities] capabilities to request
+ *   along with the browser name and options
+ * @param {AriaATCIRunner.BrowserOptions} [sessionOptions.options]
+ * @returns {Promise<AriaATCIRunner.BrowserDriver>}
+ */
+export default async (browser, serverUrl, { capabilities = {}, options = {} } = {}) => {
+  const builder = new Builder()
+    .withCapabilities(capabilities)
+    .forBrowser(SELENIUM_BROWSERS[browser] ?? browser)
+    .usingServer(serverUrl);
+  const driver = await (Object.keys(options).length > 0
+    ? setBrowserOptions(builder, browser, options)
+    : builder
+  ).build();
 
   return {
     async navigate(url) {
@@ -46,16 +64,37 @@ export default async (browser, serverUrl) => {
       await runTestSetup.click();
     },
 
+    async runSetupScript(source) {
+      await driver.executeScript(function (setupSource) {
+        const setup = new Function('testPageDocument', setupSource);
+        // @ts-expect-error (The TypeScript compiler cannot be configured to
+        // recognize that this function executes in another environment--one
+        // where `document` is defined globally.)
+        return Promise.resolve(setup(document)).then(() => null);
+      }, source);
+    },
+
+    activeElement() {
+      return driver.executeScript(activeElementSnapshot, ARIA_STATES);
+    },
+
     async getCapabilities() {
       const capabilities = await driver.getCapabilities();
       return {
         browserName: capabilities.get('browserName'),
         browserVersion: capabilities.get('browserVersion'),
+        webDriverCapabilities: Object.fromEntries(
+          Array.from(capabilities.keys(), name => [name, capabilities.get(name)])
+        ),
       };
     },
 
     async quit() {
       return driver.quit();
     },
+
+    screenshot() {
+      return driver.takeScreenshot();
+    },
   };
 };
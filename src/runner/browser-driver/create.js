@@ -5,16 +5,31 @@ import createSafariAppleScriptDriver from './create-safari-apple-script-driver.j
  * @param {object} options
  * @param {{toString: function(): string}} options.url
  * @param {AriaATCIRunner.Browser} [options.browser]
+ * @param {Object<string, *>} [options.capabilities] WebDriver capabilities to request
+ * @param {AriaATCIRunner.BrowserOptions} [options.browserOptions]
  * @param {Promise<void>} options.abortSignal
  * @param {AriaATCIShared.TimesOption} options.timesOption
  *
  * @returns {Promise<AriaATCIRunner.BrowserDriver>}
  */
-export async function createBrowserDriver({ url, browser = 'firefox', abortSignal, timesOption }) {
+export async function createBrowserDriver({
+  url,
+  browser = 'firefox',
+  capabilities = {},
+  browserOptions = {},
+  abortSignal,
+  timesOption,
+}) {
+  if (
+    browser === 'safari' &&
+    (Object.keys(capabilities).length > 0 || Object.keys(browserOptions).length > 0)
+  ) {
+    throw new Error('Safari is driven with AppleScript, which takes no capabilities or options');
+  }
   const driver =
     browser === 'safari'
       ? await createSafariAppleScriptDriver(timesOption)
-      : await createWebDriver(browser, url.toString());
+      : await createWebDriver(browser, url.toString(), { capabilities, options: browserOptions });
   abortSignal.then(() => driver.quit());
   return driver;
 }
@@ -0,0 +1,33 @@
+/**
+ * @module agent
+ */
+
+/**
+ * Cancels a test runner's running test once its current command finishes, or
+ * its next test before it starts.
+ */
+export class RunCancellation {
+  constructor() {
+    /** @type {AriaATCIRunner.Cancellation} */
+    this._current = { cancelled: false };
+  }
+
+  cancel() {
+    this._current.cancelled = true;
+  }
+
+  /**
+   * The cancellation of a run that is starting.
+   * @returns {AriaATCIRunner.Cancellation}
+   */
+  start() {
+    return this._current;
+  }
+
+  /**
+   * Forget the ended run's cancellation, so the next run is not cancelled.
+   */
+  end() {
+    this._current = { cancelled: false };
+  }
+}
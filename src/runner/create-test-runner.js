@@ -6,17 +6,29 @@ import { MockTestRunner } from './mock-test-runner.js';
 import { DriverTestRunner } from './driver-test-runner.js';
 import { createBrowserDriver } from './browser-driver/create.js';
 import { createATDriver } from './at-driver.js';
+import { ATAdapters } from './at-adapter.js';
 
 /**
  * @param {object} options
  * @param {{hostname: string, port: number | string, pathname: string}} options.atDriverUrl
+ * @param {AriaATCIRunner.ATCapabilitiesRequest} [options.atDriverCapabilities]
+ * @param {AriaATCIRunner.ATDriverReconnectOptions} [options.atDriverReconnect]
  * @param {URL} options.baseUrl
  * @param {AriaATCIHost.Log} options.log
  * @param {Promise<void>} options.abortSignal
  * @param {boolean} [options.mock]
  * @param {AriaATCIRunner.Browser} [options.webDriverBrowser]
+ * @param {Object<string, *>} [options.webDriverCapabilities]
+ * @param {AriaATCIRunner.BrowserOptions} [options.webDriverOptions]
  * @param {AriaATCIShared.TimesOption} options.timesOption
  * @param {{toString: function(): string}} options.webDriverUrl
+ * @param {import('./verdict-engine.js').VerdictEngine} [options.verdictEngine]
+ * @param {import('./settings-profile.js').SettingsProfiles} [options.settingsProfiles]
+ * @param {string[]} [options.atAdapterModules] paths of modules exporting AT adapters
+ * @param {AriaATCIRunner.RetryPolicy} [options.retryPolicy]
+ * @param {number} [options.callTimeout] milliseconds each AT-Driver and browser
+ *   driver call may take
+ * @param {string} [options.artifactsDir] directory to write screenshots into
  * @returns {Promise<AriaATCIRunner.TestRunner>}
  */
 export async function createRunner(options) {
@@ -27,10 +39,12 @@ export async function createRunner(options) {
   }
   await new Promise(resolve => setTimeout(resolve, 1000));
 
-  const [browserDriver, atDriver] = await Promise.all([
+  const [browserDriver, atDriver, atAdapters] = await Promise.all([
     createBrowserDriver({
       url: options.webDriverUrl,
       browser: options.webDriverBrowser,
+      capabilities: options.webDriverCapabilities,
+      browserOptions: options.webDriverOptions,
       abortSignal,
       timesOption,
     }).catch(cause => {
@@ -40,9 +54,16 @@ export async function createRunner(options) {
       url: options.atDriverUrl,
       abortSignal,
       log,
+      reconnect: options.atDriverReconnect,
+      capabilities: options.atDriverCapabilities,
+      callTimeout: options.callTimeout,
     }).catch(cause => {
-      throw new Error('Error connecting to at-driver', { cause });
+      throw new Error(`Error connecting to at-driver: ${cause.message}`, { cause });
+    }),
+    ATAdapters.load({
+      settingsProfiles: options.settingsProfiles,
+      modulePaths: options.atAdapterModules,
     }),
   ]);
-  return new DriverTestRunner({ ...options, browserDriver, atDriver });
+  return new DriverTestRunner({ ...options, browserDriver, atDriver, atAdapters });
 }
@@ -1,7 +1,20 @@
-import { startJob } from '../shared/job.js';
-
-import { ATDriver, ATKey, webDriverCodePoints } from './at-driver.js';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+
+import {
+  ATDriver,
+  ATKey,
+  ATKeyChord,
+  AT_DRIVER_CONNECTION_LOST,
+  webDriverCodePoints,
+} from './at-driver.js';
 import { RunnerMessage } from './messages.js';
+import { RunCancellation } from './cancellation.js';
+import { ATAdapters } from './at-adapter.js';
+import { parseKeys } from './settings-profile.js';
+import { parseKeystroke } from './keystroke-grammar.js';
+import { expandKeyAliases, resolveKeyAliases } from './key-aliases.js';
+import { withDeadline } from '../shared/watchdog.js';
 
 /**
  * @module agent
@@ -15,33 +28,114 @@ export class DriverTestRunner {
    * @param {AriaATCIRunner.BrowserDriver} options.browserDriver
    * @param {ATDriver} options.atDriver
    * @param {AriaATCIShared.TimesOption} options.timesOption
+   * @param {import('./verdict-engine.js').VerdictEngine} [options.verdictEngine]
+   * @param {ATAdapters} [options.atAdapters]
+   * @param {AriaATCIRunner.RetryPolicy} [options.retryPolicy]
+   * @param {number} [options.callTimeout] milliseconds each browser driver
+   *   call may take, unbounded if 0
+   * @param {string} [options.artifactsDir] directory to write screenshots of
+   *   the test page into, when the browser driver can take them
    */
-  constructor({ baseUrl, log, browserDriver, atDriver, timesOption }) {
+  constructor({
+    baseUrl,
+    log,
+    browserDriver,
+    atDriver,
+    timesOption,
+    verdictEngine = null,
+    atAdapters = ATAdapters.fromSettingsProfiles(),
+    retryPolicy = { attempts: 1, triggers: [], backoff: 0 },
+    callTimeout = 0,
+    artifactsDir,
+  }) {
     this.baseUrl = baseUrl;
     this.log = log;
-    this.browserDriver = browserDriver;
+    this.browserDriver = callTimeout
+      ? browserDriverWithDeadlines(browserDriver, callTimeout)
+      : browserDriver;
     this.atDriver = atDriver;
+    this.callTimeout = callTimeout;
     this.collectedCapabilities = this.getCapabilities();
     this.timesOption = timesOption;
+    /**
+     * The times for the test or command being run, including the test's and
+     * command's timing hints.
+     *
+     * @type {AriaATCIShared.TimesOption}
+     */
+    this._times = timesOption;
+    this.verdictEngine = verdictEngine;
+    this.atAdapters = atAdapters;
+    this.retryPolicy = retryPolicy;
+    this.artifactsDir = artifactsDir;
+    /**
+     * Screenshots taken during the running test, numbering their files.
+     */
+    this._screenshotCount = 0;
+    this._cancellation = new RunCancellation();
+    /**
+     * What the runner is doing, named in watchdog timeout errors.
+     */
+    this.phase = 'idle';
+    /** @type {AriaATCIRunner.SpeechCollection[]} */
+    this._speechCollections = [];
+    /** @type {{text: string, time: number, phase: AriaATCIRunner.SpeechPhase}[]} */
+    this._utterances = [];
   }
 
   async getCapabilities() {
-    const { browserName, browserVersion } = await this.browserDriver.getCapabilities();
+    const { browserName, browserVersion, webDriverCapabilities } =
+      await this.browserDriver.getCapabilities();
     const { atName, atVersion, platformName } = await this.atDriver.getCapabilities();
-    return { atName, atVersion, browserName, browserVersion, platformName };
+    return {
+      atName,
+      atVersion,
+      browserName,
+      browserVersion,
+      platformName,
+      ...(webDriverCapabilities ? { webDriverCapabilities } : {}),
+    };
   }
 
   /**
+   * Open a test page and run its setup. A setup script with `source` is run
+   * directly when the browser driver can run scripts, otherwise the page's
+   * Run Test Setup button is clicked. Setup a test requires that does not
+   * run is reported with an `error` instead of `ran`.
+   *
    * @param {object} options
    * @param {URL} options.url
    * @param {string} options.referencePage
+   * @param {AriaATCIData.CollectedTest['target']['setupScript']} [options.setupScript]
+   * @returns {Promise<AriaATCIData.TestSetup>}
    */
-  async openPage({ url, referencePage }) {
+  async openPage({ url, referencePage, setupScript }) {
+    this.phase = `opening ${url}`;
     await this.log(RunnerMessage.OPEN_PAGE, { url });
     await this.browserDriver.navigate(url.toString());
 
     await this.browserDriver.documentReady();
 
+    const start = Date.now();
+    if (setupScript?.source && this.browserDriver.runSetupScript) {
+      const { name } = setupScript;
+      this.phase = `running setup script '${name}'`;
+      try {
+        await this.browserDriver.runSetupScript(setupScript.source);
+      } catch (error) {
+        return await this._setupFailed({
+          ran: false,
+          method: 'script',
+          script: name,
+          error: `Setup script '${name}' of ${referencePage} threw an exception: ${error.message}`,
+        });
+      }
+      /** @type {AriaATCIData.TestSetup} */
+      const setup = { ran: true, method: 'script', script: name, duration: Date.now() - start };
+      await this.log(RunnerMessage.RUN_SETUP, { referencePage, ...setup });
+      return setup;
+    }
+
     try {
       await this.browserDriver.clickWhenPresent(
         '.button-run-test-setup',
@@ -49,13 +143,40 @@ export class DriverTestRunner {
       );
     } catch {
       await this.log(RunnerMessage.NO_RUN_TEST_SETUP, { referencePage });
+      if (setupScript) {
+        return await this._setupFailed({
+          ran: false,
+          script: setupScript.name,
+          error: `Setup script '${setupScript.name}' of ${referencePage} did not run: the page has no Run Test Setup button.`,
+        });
+      }
+      return { ran: false };
     }
+    /** @type {AriaATCIData.TestSetup} */
+    const setup = {
+      ran: true,
+      method: 'button',
+      ...(setupScript ? { script: setupScript.name } : {}),
+      duration: Date.now() - start,
+    };
+    await this.log(RunnerMessage.RUN_SETUP, { referencePage, ...setup });
+    return setup;
+  }
+
+  /**
+   * @param {AriaATCIData.TestSetup} setup
+   * @returns {Promise<AriaATCIData.TestSetup>}
+   */
+  async _setupFailed(setup) {
+    await this.log(RunnerMessage.SETUP_FAILED, { error: setup.error });
+    return setup;
   }
 
   /**
    * @param {import('./at-driver.js').ATKeySequence} sequence
    */
   async sendKeys(sequence) {
+    this.phase = `pressing ${sequence}`;
     await this.log(RunnerMessage.PRESS_KEYS, { keys: sequence });
     await this.atDriver.sendKeys(sequence);
   }
@@ -68,8 +189,9 @@ export class DriverTestRunner {
     let unknownCollected = '';
     // there are 2 modes, so we will try pressing mode switch up to twice
     for (let triesRemain = 2; triesRemain > 0; triesRemain--) {
-      const speechResponse = await this._collectSpeech(this.timesOption.modeSwitch, () =>
-        this.sendKeys(sequence)
+      const speechResponse = await this._collectSpeech(
+        { phase: 'settings', maxWait: this._times.modeSwitch },
+        () => this.sendKeys(sequence)
       );
       while (speechResponse.length) {
         const lastMessage = speechResponse.shift().trim();
@@ -90,94 +212,14 @@ export class DriverTestRunner {
   /**
    * Used for v2 tests to ensure proper settings.
    *
-   * @param {string} settings - space seperated list of settings. "browseMode", "focusMode" for NVDA,
-                                "quickNavOn", "defaultMode", etc for VoiceOver.
+   * @param {string} settings - space seperated list of settings understood by the AT's adapter,
+   *                            like "browseMode" for NVDA or "quickNavOn" for VoiceOver.
    */
   async ensureSettings(settings) {
-    const { atName } = await this.collectedCapabilities;
-    // break up the space-separated settings into an array so we can iterate over it
-    const settingsArray = settings.split(' ');
-
-    if (atName == 'NVDA') {
-      // disable the "beeps" when switching focus/browse mode, forces it to speak the mode after switching
-      await this.atDriver._send({
-        method: 'nvda:settings.setSettings',
-        params: { settings: [{ name: 'virtualBuffers.passThroughAudioIndication', value: false }] },
-      });
-
-      try {
-        for (const setting of settingsArray) {
-          switch (setting.toLowerCase()) {
-            case 'browsemode':
-              await this.pressKeysToToggleSetting(
-                ATKey.sequence(ATKey.chord(ATKey.key('insert'), ATKey.key('space'))),
-                'Browse mode'
-              );
-              break;
-            case 'focusmode':
-              await this.pressKeysToToggleSetting(
-                ATKey.sequence(ATKey.chord(ATKey.key('insert'), ATKey.key('space'))),
-                'Focus mode'
-              );
-              break;
-            default:
-              throw new Error(`Unknown command settings for NVDA "${setting}"`);
-          }
-        }
-      } finally {
-        // turn the "beeps" back on so mode switches won't be spoken (default setting)
-        await this.atDriver._send({
-          method: 'nvda:settings.setSettings',
-          params: {
-            settings: [{ name: 'virtualBuffers.passThroughAudioIndication', value: true }],
-          },
-        });
-      }
-    } else if (atName == 'VoiceOver') {
-      for (const setting of settingsArray) {
-        switch (setting) {
-          case 'quickNavOn':
-          case 'arrowQuickKeyNavOn':
-            await this.pressKeysToToggleSetting(
-              ATKey.sequence(ATKey.chord(ATKey.key('left'), ATKey.key('right'))),
-              'quick nav on'
-            );
-            break;
-          case 'quickNavOff':
-          case 'arrowQuickKeyNavOff':
-            await this.pressKeysToToggleSetting(
-              ATKey.sequence(ATKey.chord(ATKey.key('left'), ATKey.key('right'))),
-              'quick nav off'
-            );
-            break;
-          case 'singleQuickKeyNavOn':
-            await this.pressKeysToToggleSetting(
-              ATKey.sequence(
-                ATKey.chord(ATKey.key('control'), ATKey.key('option'), ATKey.key('q'))
-              ),
-              'single-key quick nav on'
-            );
-            break;
-          case 'singleQuickKeyNavOff':
-            await this.pressKeysToToggleSetting(
-              ATKey.sequence(
-                ATKey.chord(ATKey.key('control'), ATKey.key('option'), ATKey.key('q'))
-              ),
-              'single-key quick nav off'
-            );
-            break;
-          case 'defaultMode':
-            // nothing to do here
-            break;
-          default:
-            throw new Error(`Unrecognized setting for VoiceOver: ${setting}`);
-        }
-      }
-      return;
-    } else if (!atName) {
-      return;
-    } else {
-      throw new Error(`Unable to ensure proper settings. Unknown atName ${atName}`);
+    this.phase = `applying settings ${settings}`;
+    const adapter = await this._atAdapter('settings');
+    if (adapter) {
+      await adapter.ensureSettings(this._atAdapterContext(), settings.split(' ').filter(Boolean));
     }
   }
 
@@ -186,75 +228,186 @@ export class DriverTestRunner {
    * @param {"reading" | "interaction"} mode
    */
   async ensureMode(mode) {
+    this.phase = `applying mode ${mode}`;
+    const adapter = await this._atAdapter('mode');
+    if (adapter) {
+      await adapter.ensureMode(this._atAdapterContext(), mode);
+    }
+  }
+
+  /**
+   * @param {string} [purpose] what the adapter is needed for, if it is
+   *   required
+   * @returns {Promise<AriaATCIRunner.ATAdapter | undefined>}
+   */
+  async _atAdapter(purpose) {
     const { atName } = await this.collectedCapabilities;
-    if (atName === 'NVDA') {
-      await this.ensureSettings(mode.toLowerCase() === 'reading' ? 'browseMode' : 'focusMode');
-      return;
-    } else if (atName === 'VoiceOver') {
-      return;
-    } else if (!atName) {
+    if (!atName) {
       return;
     }
-    throw new Error(`Unable to ensure proper mode. Unknown atName ${atName}`);
+    const adapter = this.atAdapters.get(atName);
+    if (!adapter && purpose) {
+      throw new Error(`Unable to ensure proper ${purpose}. No AT adapter for atName ${atName}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * @returns {AriaATCIRunner.ATAdapterContext}
+   */
+  _atAdapterContext() {
+    return {
+      atDriver: this.atDriver,
+      log: this.log,
+      sendKeys: sequence => this.sendKeys(sequence),
+      toggleSetting: (sequence, speech) => this.pressKeysToToggleSetting(sequence, speech),
+      parseKeys,
+    };
+  }
+
+  /**
+   * Stop the running test once its current command finishes, or the next
+   * test before it starts.
+   */
+  cancel() {
+    this._cancellation.cancel();
+  }
+
+  /**
+   * Prepare the runner's browser and AT-Driver sessions for another test plan,
+   * served from `baseUrl`. The AT's settings return to their values before
+   * the last plan changed them.
+   *
+   * @param {object} options
+   * @param {URL} options.baseUrl
+   * @throws {Error} when either session can no longer be used
+   */
+  async reuse({ baseUrl }) {
+    if (this.atDriver.hasClosed) {
+      throw new Error('The AT-Driver connection closed');
+    }
+    const timeout = this.callTimeout ? Math.min(this.callTimeout, REUSE_TIMEOUT) : REUSE_TIMEOUT;
+    this.phase = 'checking the AT-Driver session';
+    await this.atDriver.checkAlive({ timeout });
+    this.phase = 'checking the browser session';
+    await withDeadline(this.browserDriver.navigate('about:blank'), {
+      timeout,
+      scope: 'call',
+      phase: 'browser navigate',
+    });
+    this.phase = 'resetting AT settings';
+    await withDeadline(this.atDriver.resetSettings(), {
+      timeout,
+      scope: 'call',
+      phase: 'resetting AT settings',
+    });
+    this.phase = 'idle';
+    this.baseUrl = baseUrl;
   }
 
   /**
+   * Run a test, reconnecting and running it again from the start when the
+   * AT-Driver connection is lost and the driver can recover it.
+   *
    * @param {AriaATCIData.CollectedTest} test
    */
   async run(test) {
+    const recoveries = [];
+    const cancellation = this._cancellation.start();
+    try {
+      for (;;) {
+        try {
+          const result = await this._run(test, cancellation);
+          return { ...result, ...(recoveries.length > 0 ? { recoveries } : {}) };
+        } catch (error) {
+          if (
+            error.code !== AT_DRIVER_CONNECTION_LOST ||
+            !this.atDriver.canReconnect ||
+            recoveries.length >= this.atDriver.reconnectOptions.attempts
+          ) {
+            throw error;
+          }
+          const start = Date.now();
+          await this.atDriver.reconnect();
+          const recovery = {
+            error: error.message,
+            attempt: recoveries.length + 1,
+            duration: Date.now() - start,
+            ...(error.attempts ? { command: error.command, attempts: error.attempts } : {}),
+          };
+          recoveries.push(recovery);
+          await this.log(RunnerMessage.AT_DRIVER_RECOVERY, recovery);
+        }
+      }
+    } finally {
+      this._cancellation.end();
+    }
+  }
+
+  /**
+   * @param {AriaATCIData.CollectedTest} test
+   * @param {AriaATCIRunner.Cancellation} cancellation
+   */
+  async _run(test, cancellation) {
+    this._speechCollections = [];
+    this._screenshotCount = 0;
+    // Resetting the AT runs before any command, with this test's timing
+    // rather than the last command's.
+    this._times = { ...this.timesOption, ...test.timing };
     const capabilities = await this.collectedCapabilities;
     await this.log(RunnerMessage.CAPABILITIES, { capabilities });
 
     await this.log(RunnerMessage.START_TEST, { id: test.info.testId, title: test.info.task });
 
+    this.phase = 'opening about:blank';
     await this.log(RunnerMessage.OPEN_PAGE, { url: 'about:blank' });
     await this.browserDriver.navigate('about:blank');
 
+    const adapter = await this._atAdapter();
+    if (adapter?.reset) {
+      await adapter.reset(this._atAdapterContext());
+    }
+    const keyAliases = resolveKeyAliases({ adapter, platformName: capabilities.platformName });
+
+    /** @type {AriaATCIData.TestResultOutput['commands']} */
     const commandsOutput = [];
+    let cancelled = false;
 
     for (const command of test.commands) {
-      const { value: validCommand, errors } = validateKeysFromCommand(command);
+      if (cancellation.cancelled) {
+        cancelled = true;
+        break;
+      }
+      const keys = expandedKeysFromCommand(command, keyAliases);
+      if (keys) {
+        await this.log(RunnerMessage.KEY_ALIASES_EXPANDED, { command: command.id, ...keys });
+      }
+      const { value: validCommand, errors = [] } = validateKeysFromCommand(command, keyAliases);
+      errors.push(...validateTiming(test.timing, 'test'), ...validateTiming(command.timing));
       const assertions = test.assertions.map(assertion => {
         return {
           expectation: assertion.expectation || assertion.assertionStatement,
           verdict: null,
         };
       });
-      if (validCommand) {
-        await this._collectSpeech(this.timesOption.afterNav, () =>
-          this.openPage({
-            url: this._appendBaseUrl(test.target.referencePage),
-            referencePage: test.target.referencePage,
-          })
-        );
-
-        if (command.settings) {
-          // Ensure AT is in proper mode for tests.  V2 tests define "settings" per command.
-          await this.ensureSettings(command.settings);
-        } else if (test.target?.mode) {
-          // V1 tests define a "mode" of "reading" or "interaction" on the test.target
-          await this.ensureMode(test.target.mode);
+      if (validCommand && errors.length === 0) {
+        const alternatives = atKeyAlternativesFromCommand(validCommand, keyAliases);
+        for (const sequence of alternatives) {
+          const output = await this._runCommandWithRetries(test, command, sequence, assertions);
+          // Each alternative of an "or" keystroke is reported under the
+          // original command id.
+          commandsOutput.push({
+            ...output,
+            ...(alternatives.length > 1 ? { alternative: sequence.toString() } : {}),
+            ...(keys ? { keys } : {}),
+          });
         }
-
-        const spokenOutput = await this._collectSpeech(this.timesOption.afterKeys, () =>
-          this.sendKeys(atKeysFromCommand(validCommand))
-        );
-
-        await this._collectSpeech(this.timesOption.afterNav, async () => {
-          await this.log(RunnerMessage.OPEN_PAGE, { url: 'about:blank' });
-          await this.browserDriver.navigate('about:blank');
-        });
-
-        commandsOutput.push({
-          command: command.id,
-          response: spokenOutput.join('\n'),
-          assertions,
-        });
       } else {
         await this.log(RunnerMessage.INVALID_KEYS, { command, errors });
 
         commandsOutput.push({
           command: command.id,
+          ...(keys ? { keys } : {}),
           errors,
           assertions,
         });
@@ -268,32 +421,333 @@ export class DriverTestRunner {
       presentationNumber,
       capabilities,
       commands: commandsOutput,
+      speechCollection: summarizeSpeechCollections(this._speechCollections),
+      ...(cancelled ? { cancelled } : {}),
     };
   }
 
   /**
-   * @param {number} debounceDelay
+   * Run one alternative of a command, running it again while one of the retry
+   * policy's triggers occurs and attempts remain. When the command ran more
+   * than once every attempt is listed in its output's `attempts`, and the last
+   * one is `counted`.
+   *
+   * A lost AT-Driver connection is never retried here; `run` recovers from it
+   * by running the whole test again. When another error ends the last attempt,
+   * the command is reported with that error and every attempt.
+   *
+   * @param {AriaATCIData.CollectedTest} test
+   * @param {AriaATCIData.CollectedTest['commands'][number]} command
+   * @param {import('./at-driver.js').ATKeySequence} sequence
+   * @param {{expectation: string, verdict: null}[]} assertions
+   */
+  async _runCommandWithRetries(test, command, sequence, assertions) {
+    const { attempts, triggers, backoff } = this.retryPolicy;
+    /** @type {AriaATCIData.TestResultOutput['commands'][number]['attempts']} */
+    const tried = [];
+    for (let attempt = 1; ; attempt++) {
+      let output;
+      /** @type {AriaATCIRunner.RetryTrigger | undefined} */
+      let trigger;
+      try {
+        const ran = await this._runCommand(test, command, sequence, assertions);
+        // A command whose setup failed did not press its keys, so it is not
+        // retried.
+        if ('errors' in ran) {
+          return ran;
+        }
+        output = ran;
+        trigger = retryTrigger(output, triggers);
+      } catch (error) {
+        const last = { attempt, error: error.message, counted: true };
+        if (error.code === AT_DRIVER_CONNECTION_LOST) {
+          // `run` runs the whole test again and lists these attempts with its
+          // recovery.
+          if (tried.length > 0) {
+            Object.assign(error, { command: command.id, attempts: [...tried, last] });
+          }
+          throw error;
+        }
+        if (!triggers.includes('error') || attempt >= attempts) {
+          if (tried.length === 0) {
+            throw error;
+          }
+          return {
+            command: command.id,
+            errors: [error.message],
+            attempts: [...tried, last],
+            assertions,
+          };
+        }
+        tried.push({ attempt, error: error.message, trigger: 'error', counted: false });
+        trigger = 'error';
+      }
+
+      if (output && (!trigger || attempt >= attempts)) {
+        if (tried.length === 0) {
+          return output;
+        }
+        const { response, utterances } = output;
+        return {
+          ...output,
+          attempts: [
+            ...tried,
+            { attempt, response, utterances, ...(trigger ? { trigger } : {}), counted: true },
+          ],
+        };
+      }
+      if (output) {
+        const { response, utterances } = output;
+        tried.push({ attempt, response, utterances, trigger, counted: false });
+      }
+
+      const delay = backoff * 2 ** (attempt - 1);
+      await this.log(RunnerMessage.COMMAND_RETRY, {
+        command: command.id,
+        attempt: attempt + 1,
+        attempts,
+        trigger,
+        delay,
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Open the test page, apply settings, press the keys of one of a command's
+   * alternatives, and collect the speech they cause.
+   *
+   * @param {AriaATCIData.CollectedTest} test
+   * @param {AriaATCIData.CollectedTest['commands'][number]} command
+   * @param {import('./at-driver.js').ATKeySequence} sequence
+   * @param {{expectation: string, verdict: null}[]} assertions
+   */
+  async _runCommand(test, command, sequence, assertions) {
+    this._utterances = [];
+    this._times = { ...this.timesOption, ...test.timing, ...command.timing };
+    const timing = Object.fromEntries(TIMING_HINTS.map(name => [name, this._times[name]]));
+    /** @type {AriaATCIData.TestSetup} */
+    let setup;
+    await this._collectSpeech({ phase: 'navigation', maxWait: this._times.afterNav }, async () => {
+      setup = await this.openPage({
+        url: this._appendBaseUrl(test.target.referencePage),
+        referencePage: test.target.referencePage,
+        setupScript: test.target.setupScript,
+      });
+    });
+
+    if (setup.error) {
+      await this._collectSpeech(
+        { phase: 'navigation', maxWait: this._times.afterNav },
+        async () => {
+          this.phase = 'opening about:blank';
+          await this.log(RunnerMessage.OPEN_PAGE, { url: 'about:blank' });
+          await this.browserDriver.navigate('about:blank');
+        }
+      );
+      return { command: command.id, timing, setup, errors: [setup.error], assertions };
+    }
+
+    if (command.settings) {
+      // Ensure AT is in proper mode for tests.  V2 tests define "settings" per command.
+      await this.ensureSettings(command.settings);
+    } else if (test.target?.mode) {
+      // V1 tests define a "mode" of "reading" or "interaction" on the test.target
+      await this.ensureMode(test.target.mode);
+    }
+    const artifacts = [await this._screenshot(test, command, 'setup')];
+    const activeElementBefore = await this._activeElement(command, 'setup');
+
+    let keysPressedAt = 0;
+    const spokenOutput = await this._collectSpeech(
+      { phase: 'command', maxWait: this._times.afterKeys },
+      async () => {
+        await this.sendKeys(sequence);
+        keysPressedAt = Date.now();
+      }
+    );
+    // Speech collected while opening the page and applying settings is
+    // kept too, to show when it leaks into the command's response.
+    const utterances = this._utterances.map(({ text, time, phase }) => ({
+      text,
+      offset: time - keysPressedAt,
+      phase,
+    }));
+    artifacts.push(await this._screenshot(test, command, 'command'));
+    const activeElementAfter = await this._activeElement(command, 'command');
+
+    await this._collectSpeech({ phase: 'navigation', maxWait: this._times.afterNav }, async () => {
+      this.phase = 'opening about:blank';
+      await this.log(RunnerMessage.OPEN_PAGE, { url: 'about:blank' });
+      await this.browserDriver.navigate('about:blank');
+    });
+
+    const response = spokenOutput.join('\n');
+    return {
+      command: command.id,
+      response,
+      utterances,
+      timing,
+      setup,
+      ...(artifacts.some(Boolean) ? { artifacts: artifacts.filter(Boolean) } : {}),
+      ...(this.browserDriver.activeElement
+        ? { activeElement: { before: activeElementBefore, after: activeElementAfter } }
+        : {}),
+      assertions: this.verdictEngine
+        ? this.verdictEngine.evaluate({ command: command.id, response, assertions })
+        : assertions,
+    };
+  }
+
+  /**
+   * Write a screenshot of the test page into the artifacts directory. Nothing
+   * is written without an artifacts directory or when the browser driver
+   * cannot take screenshots, and a failed screenshot is logged rather than
+   * failing the command.
+   *
+   * @param {AriaATCIData.CollectedTest} test
+   * @param {AriaATCIData.CollectedTest['commands'][number]} command
+   * @param {AriaATCIData.Artifact['phase']} phase
+   * @returns {Promise<AriaATCIData.Artifact | null>}
+   */
+  async _screenshot(test, command, phase) {
+    if (!this.artifactsDir || !this.browserDriver.screenshot) {
+      return null;
+    }
+    this.phase = `taking a screenshot after ${phase}`;
+    this._screenshotCount += 1;
+    const count = String(this._screenshotCount).padStart(2, '0');
+    const commandName = command.id.replace(/[^\w.-]+/g, '_');
+    // Each plan is served from its own directory, so naming the plan's
+    // screenshots after it keeps plans from overwriting each other's.
+    const planDirectory = this.baseUrl.pathname.split('/').filter(Boolean).pop() ?? '';
+    const artifactPath = path.posix.join(
+      planDirectory,
+      `test-${test.info.testId}`,
+      `${count}-${commandName}-${phase}.png`
+    );
+    try {
+      const image = await this.browserDriver.screenshot();
+      const filepath = path.join(this.artifactsDir, artifactPath);
+      await fs.mkdir(path.dirname(filepath), { recursive: true });
+      await fs.writeFile(filepath, image, 'base64');
+    } catch (error) {
+      await this.log(RunnerMessage.SCREENSHOT_FAILED, {
+        command: command.id,
+        phase,
+        error: error.message,
+      });
+      return null;
+    }
+    return { type: 'screenshot', phase, path: artifactPath };
+  }
+
+  /**
+   * Describe the test page's focused element, when the browser driver can. A
+   * failure is logged and described as null rather than failing the command.
+   *
+   * @param {AriaATCIData.CollectedTest['commands'][number]} command
+   * @param {'setup' | 'command'} phase
+   * @returns {Promise<AriaATCIData.ElementSnapshot | null>}
+   */
+  async _activeElement(command, phase) {
+    if (!this.browserDriver.activeElement) {
+      return null;
+    }
+    this.phase = `describing the focused element after ${phase}`;
+    try {
+      return await this.browserDriver.activeElement();
+    } catch (error) {
+      await this.log(RunnerMessage.ACTIVE_ELEMENT_FAILED, {
+        command: command.id,
+        phase,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Collect speech caused by asyncOperation.
+   *
+   * Collection finishes once no speech has arrived for `speechIdle`
+   * milliseconds, or as soon as the AT-Driver server reports that speech ended,
+   * but never before `speechMin` milliseconds or after `maxWait` milliseconds
+   * have passed since asyncOperation finished. The idle window only starts
+   * with the first utterance, so a slow AT is waited for up to `maxWait`.
+   *
+   * @param {object} options
+   * @param {AriaATCIRunner.SpeechPhase} options.phase
+   * @param {number} options.maxWait
    * @param {function(): Promise<void>} asyncOperation
    * @returns {Promise<string[]>}
    */
-  async _collectSpeech(debounceDelay, asyncOperation) {
+  async _collectSpeech({ phase, maxWait }, asyncOperation) {
+    const { speechIdle, speechMin } = this.timesOption;
+    const adapter = await this._atAdapter();
+    const normalize = adapter?.normalizeSpeech ? speech => adapter.normalizeSpeech(speech) : null;
+
     let spoken = [];
-    const speechJob = startJob(async signal => {
-      for await (const speech of signal.cancelable(this.atDriver.speeches())) {
-        spoken.push(speech);
-        this.log(RunnerMessage.SPEECH_EVENT, { spokenText: speech });
-      }
+    let lastSpeechAt = 0;
+    let speechEnded = false;
+    let wake = () => {};
+    const unsubscribeSpeech = this.atDriver.onSpeech(rawSpeech => {
+      const speech = normalize ? normalize(rawSpeech) : rawSpeech;
+      spoken.push(speech);
+      lastSpeechAt = Date.now();
+      this._utterances.push({ text: speech, time: lastSpeechAt, phase });
+      speechEnded = false;
+      wake();
+      this.log(RunnerMessage.SPEECH_EVENT, { spokenText: speech });
+    });
+    const unsubscribeSpeechEnded = this.atDriver.onSpeechEnded(() => {
+      speechEnded = true;
+      wake();
     });
 
-    await asyncOperation();
-
-    let i = 0;
-    do {
-      i = spoken.length;
-      await timeout(debounceDelay);
-    } while (i < spoken.length);
+    /** @type {AriaATCIRunner.SpeechCollection['reason']} */
+    let reason;
+    let start;
+    try {
+      await asyncOperation();
+
+      this.phase = `collecting ${phase} speech`;
+      start = Date.now();
+      for (;;) {
+        const now = Date.now();
+        const minDeadline = start + speechMin;
+        const idleDeadline =
+          spoken.length > 0
+            ? Math.max(Math.max(lastSpeechAt, start) + speechIdle, minDeadline)
+            : Infinity;
+        const maxDeadline = start + maxWait;
+        if (speechEnded && spoken.length > 0 && now >= minDeadline) {
+          reason = 'ended';
+        } else if (now >= maxDeadline) {
+          reason = 'max';
+        } else if (now >= idleDeadline) {
+          reason = 'idle';
+        } else {
+          const deadline = Math.min(idleDeadline, maxDeadline);
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, deadline - now);
+            wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          continue;
+        }
+        break;
+      }
+    } finally {
+      unsubscribeSpeech();
+      unsubscribeSpeechEnded();
+    }
 
-    await speechJob.cancel();
+    const collection = { phase, duration: Date.now() - start, utterances: spoken.length, reason };
+    this._speechCollections.push(collection);
+    this.log(RunnerMessage.SPEECH_COLLECTED, collection);
 
     return spoken;
   }
@@ -304,72 +758,243 @@ export class DriverTestRunner {
   }
 }
 
-export function validateKeysFromCommand(command) {
+/**
+ * Wrap every call to a browser driver so it fails once `timeout` milliseconds
+ * pass.
+ *
+ * @param {AriaATCIRunner.BrowserDriver} browserDriver
+ * @param {number} timeout
+ * @returns {AriaATCIRunner.BrowserDriver}
+ */
+function browserDriverWithDeadlines(browserDriver, timeout) {
+  const call = (method, operation) =>
+    withDeadline(operation, { timeout, scope: 'call', phase: `browser ${method}` });
+  return {
+    navigate: url => call('navigate', browserDriver.navigate(url)),
+    documentReady: () => call('documentReady', browserDriver.documentReady()),
+    clickWhenPresent: (selector, clickTimeout) =>
+      call('clickWhenPresent', browserDriver.clickWhenPresent(selector, clickTimeout)),
+    getCapabilities: () => call('getCapabilities', browserDriver.getCapabilities()),
+    quit: () => call('quit', browserDriver.quit()),
+    ...(browserDriver.screenshot
+      ? { screenshot: () => call('screenshot', browserDriver.screenshot()) }
+      : {}),
+    ...(browserDriver.activeElement
+      ? { activeElement: () => call('activeElement', browserDriver.activeElement()) }
+      : {}),
+    ...(browserDriver.runSetupScript
+      ? { runSetupScript: source => call('runSetupScript', browserDriver.runSetupScript(source)) }
+      : {}),
+  };
+}
+
+/**
+ * The first of `triggers` a command's output shows, if any.
+ *
+ * @param {{response: string, utterances: {text: string, phase: AriaATCIRunner.SpeechPhase}[]}} output
+ * @param {AriaATCIRunner.RetryTrigger[]} triggers
+ * @returns {AriaATCIRunner.RetryTrigger | undefined}
+ */
+function retryTrigger({ response, utterances }, triggers) {
+  if (triggers.includes('empty') && response.trim() === '') {
+    return 'empty';
+  }
+  if (triggers.includes('navigation') && response.trim() !== '') {
+    const navigationSpeech = utterances
+      .filter(({ phase }) => phase === 'navigation')
+      .map(({ text }) => text)
+      .join('\n');
+    if (response === navigationSpeech) {
+      return 'navigation';
+    }
+  }
+}
+
+/**
+ * @param {AriaATCIRunner.SpeechCollection[]} collections
+ * @returns {AriaATCIData.SpeechCollectionStats}
+ */
+function summarizeSpeechCollections(collections) {
+  const durations = collections.map(({ duration }) => duration);
+  const reasons = { idle: 0, ended: 0, max: 0 };
+  for (const { reason } of collections) {
+    reasons[reason] += 1;
+  }
+  return {
+    collections: collections.length,
+    totalDuration: durations.reduce((total, duration) => total + duration, 0),
+    maxDuration: Math.max(0, ...durations),
+    reasons,
+  };
+}
+
+/**
+ * The keypress ids of a command as written and with their key aliases
+ * expanded, if any of them use an alias.
+ *
+ * @param {CommandKeystroke} command
+ * @param {Object<string, string>} keyAliases
+ * @returns {{input: string[], expanded: string[]} | undefined}
+ */
+export function expandedKeysFromCommand(command, keyAliases) {
+  const input = command.keypresses.map(({ id }) => id);
+  const expanded = input.map(id => expandKeyAliases(id, keyAliases));
+  if (expanded.some((id, index) => id !== input[index])) {
+    return { input, expanded };
+  }
+}
+
+/**
+ * @param {CommandKeystroke} command
+ * @param {Object<string, string>} [keyAliases] from resolveKeyAliases
+ */
+export function validateKeysFromCommand(command, keyAliases = {}) {
   const errors = [];
-  for (let { id } of command.keypresses) {
-    id = id
-      // PAGE_DOWN and PAGE_UP are the only commands that have the extra _ inside a key
-      .replace(/(PAGE)_(DOWN|UP)/, '$1$2')
-      // + is used to connect keys that are pressed simultaneously in v2 tests
-      .replace('+', '_')
-      // `UP_ARROW`, `DOWN_ARROW`, etc are sent as `up`, `down`, etc
-      .replace(/_ARROW/g, '');
-    if (/\//.test(id)) {
-      errors.push(`'${id}' cannot contain '/'.`);
+  for (const { id, action = 'press', repeat, delay } of command.keypresses) {
+    if (!KEYPRESS_ACTIONS.includes(action)) {
+      errors.push(`'${id}' action must be one of ${KEYPRESS_ACTIONS.join(', ')}.`);
     }
-    if (/[()]/.test(id)) {
-      errors.push(`'${id}' cannot contain '(' or ')'.`);
+    if (repeat !== undefined && !(Number.isInteger(repeat) && repeat > 0)) {
+      errors.push(`'${id}' repeat must be a positive integer.`);
+    } else if (repeat !== undefined && action !== 'press') {
+      errors.push(`'${id}' can only repeat when pressed.`);
     }
-    if (/\bor\b/.test(id)) {
-      errors.push(`'${id}' cannot contain 'or'.`);
+    if (delay !== undefined && !(typeof delay === 'number' && delay >= 0)) {
+      errors.push(`'${id}' delay must be a non-negative number of milliseconds.`);
     }
-    if (/\bfollowed\b/.test(id)) {
-      errors.push(`'${id}' cannot contain 'followed' or 'followed by'.`);
+
+    let alternatives;
+    try {
+      alternatives = parseKeystroke(expandKeyAliases(id, keyAliases));
+    } catch (error) {
+      errors.push(`${error.message}.`);
+      continue;
     }
-    for (const part of id.split(/[_+,]/)) {
-      // Some old test plans have keys that contain indications of unspecified
-      // instructions ('/') or additional instructions that are not standardized
-      // in test plans. These keys should be updated to be separate commands or
-      // use a standardized approach.
-
-      if (part.length != 1 && !webDriverCodePoints[part.toUpperCase()]) {
-        errors.push(
-          `'${part}' of '${id}' is not a recognized key - use single characters or "Normalized" values from https://w3c.github.io/webdriver/#keyboard-actions`
-        );
+    for (const chord of alternatives.flat()) {
+      const normalized = chord
+        // PAGE_DOWN and PAGE_UP are the only commands that have the extra _ inside a key
+        .replace(/(PAGE)_(DOWN|UP)/, '$1$2')
+        // + is used to connect keys that are pressed simultaneously in v2 tests
+        .replace('+', '_')
+        // `UP_ARROW`, `DOWN_ARROW`, etc are sent as `up`, `down`, etc
+        .replace(/_ARROW/g, '');
+      for (const part of normalized.split(/[_+,]/)) {
+        // Some old test plans have keys that contain additional instructions
+        // that are not standardized in test plans. These keys should be
+        // updated to be separate commands or use a standardized approach.
+
+        if (part.length != 1 && !webDriverCodePoints[part.toUpperCase()]) {
+          errors.push(
+            `'${part}' of '${normalized}' is not a recognized key - use single characters or "Normalized" values from https://w3c.github.io/webdriver/#keyboard-actions`
+          );
+        }
       }
     }
   }
 
+  if (errors.length === 0) {
+    try {
+      for (const sequence of atKeyAlternativesFromCommand(command, keyAliases)) {
+        sequence.toAtDriverSteps();
+      }
+    } catch (error) {
+      errors.push(`${error.message}.`);
+    }
+  }
+
   if (errors.length > 0) {
     return { errors };
   }
   return { value: command };
 }
 
+const KEYPRESS_ACTIONS = ['press', 'keyDown', 'keyUp'];
+
+/**
+ * The times a test or command may set for itself with `timing`.
+ */
+const TIMING_HINTS = ['afterNav', 'afterKeys', 'modeSwitch'];
+
+/**
+ * Longest time in milliseconds each step of `reuse` may take, even without a
+ * call timeout, so a session that stopped answering is discarded rather than
+ * holding up the next plan.
+ */
+const REUSE_TIMEOUT = 5000;
+
+/**
+ * @param {AriaATCIData.TimingHints} [timing]
+ * @param {'test' | 'command'} [scope]
+ * @returns {string[]} errors
+ */
+function validateTiming(timing, scope = 'command') {
+  if (timing === undefined) {
+    return [];
+  }
+  if (!timing || typeof timing !== 'object') {
+    return [`The ${scope} timing must be an object.`];
+  }
+  return Object.entries(timing).flatMap(([name, value]) => {
+    if (!TIMING_HINTS.includes(name)) {
+      return [`The ${scope} timing '${name}' must be one of ${TIMING_HINTS.join(', ')}.`];
+    }
+    if (!(typeof value === 'number' && value >= 0)) {
+      return [`The ${scope} timing '${name}' must be a non-negative number of milliseconds.`];
+    }
+    return [];
+  });
+}
+
 /**
+ * Every key sequence a command may be performed with. Keypresses using "or"
+ * have more than one alternative, and a command has an alternative for each
+ * combination of its keypresses' alternatives.
+ *
  * @param {CommandKeystroke} command
+ * @param {Object<string, string>} [keyAliases] from resolveKeyAliases
+ * @returns {import('./at-driver.js').ATKeySequence[]}
  */
-export function atKeysFromCommand(command) {
-  return ATKey.sequence(
-    ...command.keypresses.map(({ id }) =>
-      ATKey.chord(
-        ...id
-          .replace(/(PAGE)_(DOWN|UP)/, '$1$2')
-          .replace(/\+/g, '_') // + is used to connect keys that are pressed simultaneously in v2 tests
-          .split('_')
-          .map(key => key.trim().toLowerCase())
-          // `up arrow`, `down arrow`, etc are sent as `up`, `down`, etc
-          .map(key => key.replace(/\s?arrow\s?/g, ''))
-          // remove whitespace for keys like 'page up'
-          .map(key => key.replace(/\s/g, ''))
-          .map(key => ATKey.key(key.toLowerCase()))
-      )
-    )
+export function atKeyAlternativesFromCommand(command, keyAliases = {}) {
+  return command.keypresses.reduce(
+    (sequences, keypress) =>
+      sequences.flatMap(sequence =>
+        atKeysFromKeypress({ ...keypress, id: expandKeyAliases(keypress.id, keyAliases) }).map(
+          next => ATKey.sequence(sequence, next)
+        )
+      ),
+    [ATKey.sequence()]
   );
 }
 
-async function timeout(delay) {
-  await new Promise(resolve => setTimeout(resolve, delay));
+/**
+ * @param {CommandKeystroke['keypresses'][number]} keypress
+ * @returns {import('./at-driver.js').ATKeySequence[]}
+ */
+function atKeysFromKeypress({ id, action = 'press', repeat = 1, delay }) {
+  return parseKeystroke(id).map(chords => {
+    const steps = chords.map(chord => {
+      const keys = chord
+        .replace(/(PAGE)_(DOWN|UP)/, '$1$2')
+        .replace(/\+/g, '_') // + is used to connect keys that are pressed simultaneously in v2 tests
+        .split('_')
+        .map(key => key.trim().toLowerCase())
+        // `up arrow`, `down arrow`, etc are sent as `up`, `down`, etc
+        .map(key => key.replace(/\s?arrow\s?/g, ''))
+        // remove whitespace for keys like 'page up'
+        .map(key => key.replace(/\s/g, ''))
+        .map(key => ATKey.key(key.toLowerCase()));
+      return action === 'keyDown'
+        ? ATKey.keyDown(...keys)
+        : action === 'keyUp'
+        ? ATKey.keyUp(...keys)
+        : ATKey.chord(...keys);
+    });
+    const repeated =
+      steps.length === 1 && steps[0] instanceof ATKeyChord
+        ? [steps[0].times(repeat)]
+        : Array.from({ length: repeat }, () => steps).flat();
+    return ATKey.sequence(...repeated, ...(delay === undefined ? [] : [ATKey.delay(delay)]));
+  });
 }
 
 /**
@@ -377,6 +1002,9 @@ async function timeout(delay) {
  * @property {string} id
  * @property {string} keystroke
  * @property {object[]} keypresses
- * @property {string} keypresses.id
+ * @property {string} keypresses.id keys like 'INSERT+SPACE', 'DOWN followed by TAB', or 'X or Y'
  * @property {string} keypresses.keystroke
+ * @property {'press' | 'keyDown' | 'keyUp'} [keypresses.action] hold or release the keys instead of pressing them
+ * @property {number} [keypresses.repeat] times to press the keys
+ * @property {number} [keypresses.delay] milliseconds to wait after this keypress
  */
@@ -0,0 +1,99 @@
+/**
+ * @module runner
+ */
+
+/**
+ * Aliases every AT gets. `MOD` is the platform's primary modifier.
+ *
+ * @type {AriaATCIRunner.KeyAliasTable}
+ */
+export const DEFAULT_KEY_ALIASES = {
+  MOD: { macos: 'command', default: 'control' },
+};
+
+/**
+ * Platform names that mean the same platform, so a table may list `macos` and
+ * match an AT-Driver session reporting `mac` or `darwin`.
+ */
+const PLATFORM_NAMES = {
+  mac: 'macos',
+  darwin: 'macos',
+  win: 'windows',
+  win32: 'windows',
+};
+
+/**
+ * Choose the keys of each alias in `table` for `platformName`. An alias given
+ * per platform without an entry for the platform or a `default` is left out.
+ *
+ * @param {AriaATCIRunner.KeyAliasTable} table
+ * @param {string} [platformName]
+ * @returns {Object<string, string>} alias names, upper cased, mapped to keys
+ */
+export function keyAliasesForPlatform(table, platformName = '') {
+  const platform = PLATFORM_NAMES[platformName.toLowerCase()] ?? platformName.toLowerCase();
+  /** @type {Object<string, string>} */
+  const aliases = {};
+  for (const [name, value] of Object.entries(table)) {
+    if (typeof value === 'string') {
+      aliases[name.toUpperCase()] = value;
+      continue;
+    }
+    const key = Object.keys(value).find(
+      key => (PLATFORM_NAMES[key.toLowerCase()] ?? key.toLowerCase()) === platform
+    );
+    const keys = key === undefined ? value.default : value[key];
+    if (keys !== undefined) {
+      aliases[name.toUpperCase()] = keys;
+    }
+  }
+  return aliases;
+}
+
+/**
+ * The aliases available to tests run with `adapter` on `platformName`: the
+ * default aliases, replaced by any the adapter provides.
+ *
+ * @param {object} options
+ * @param {AriaATCIRunner.ATAdapter} [options.adapter]
+ * @param {string} [options.platformName]
+ * @returns {Object<string, string>}
+ */
+export function resolveKeyAliases({ adapter, platformName }) {
+  return {
+    ...keyAliasesForPlatform(DEFAULT_KEY_ALIASES, platformName),
+    ...keyAliasesForPlatform(adapter?.keyAliases?.(platformName) ?? {}, platformName),
+  };
+}
+
+/**
+ * Replace the aliases in a keypress id like `VO_RIGHT_ARROW` or
+ * `VO+RIGHT_ARROW` with the keys they stand for, like
+ * `CONTROL+OPTION_RIGHT_ARROW`, ignoring case. An alias must start a chord or
+ * follow a `+`, and may be joined to the keys after it by `_` or `+`. So the
+ * `MOD` in `NVDA_MOD` or `X_MOD_Y` is never expanded on its own. Longer
+ * aliases match first, so `NVDA_MOD_DOWN` is read as `NVDA_MOD` and `DOWN`.
+ *
+ * @param {string} keys
+ * @param {Object<string, string>} aliases from resolveKeyAliases
+ * @returns {string}
+ */
+export function expandKeyAliases(keys, aliases) {
+  const names = Object.keys(aliases).sort((a, b) => b.length - a.length);
+  if (names.length === 0) {
+    return keys;
+  }
+  const pattern = new RegExp(
+    `(?<![^\\s+/()])(${names.map(escapeRegExp).join('|')})(?![^\\s+_/()])`,
+    'gi'
+  );
+  return keys.replace(pattern, name => aliases[name.toUpperCase()].toUpperCase());
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
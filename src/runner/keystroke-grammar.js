@@ -0,0 +1,122 @@
+/**
+ * @module runner
+ */
+
+/**
+ * Parse a keystroke like `"down followed by tab"` or `"INSERT+SPACE or
+ * CAPS_LOCK+SPACE"` into its alternatives, each a sequence of chord strings.
+ *
+ * ```
+ * keystroke   := group
+ * group       := term ( ( "or" | "/" ) term )*
+ *              | term ( "followed by" term )*
+ * term        := chord | "(" group ")"
+ * ```
+ *
+ * "or" and "followed by" may not be mixed within one group, because it is not
+ * clear which binds first; parentheses must make the grouping explicit.
+ *
+ * @param {string} keystroke
+ * @returns {string[][]} alternatives, each a list of chords pressed in order
+ */
+export function parseKeystroke(keystroke) {
+  const tokens = tokenize(keystroke);
+  let index = 0;
+
+  const fail = message => {
+    const at = tokens[index]?.offset ?? keystroke.length;
+    return new Error(`Unable to parse '${keystroke}' at character ${at + 1}: ${message}`);
+  };
+
+  /** @returns {string[][]} */
+  const parseGroup = () => {
+    const terms = [parseTerm()];
+    /** @type {'or' | 'followedBy' | undefined} */
+    let operator;
+    while (index < tokens.length && tokens[index].type !== ')') {
+      const token = tokens[index];
+      if (token.type !== 'or' && token.type !== 'followedBy') {
+        throw fail(`expected 'or' or 'followed by' before '${token.text}'`);
+      }
+      if (operator && operator !== token.type) {
+        throw fail(`'or' and 'followed by' are mixed, use parentheses to group them`);
+      }
+      operator = token.type;
+      index += 1;
+      terms.push(parseTerm());
+    }
+    if (operator === 'or') {
+      return terms.flat();
+    }
+    // Each alternative of every term is followed by each alternative of the
+    // next term.
+    return terms.reduce(
+      (sequences, alternatives) =>
+        sequences.flatMap(sequence => alternatives.map(next => [...sequence, ...next])),
+      [[]]
+    );
+  };
+
+  /** @returns {string[][]} */
+  const parseTerm = () => {
+    const token = tokens[index];
+    if (!token) {
+      throw fail('expected a key');
+    }
+    if (token.type === '(') {
+      index += 1;
+      const group = parseGroup();
+      if (tokens[index]?.type !== ')') {
+        throw fail(`expected ')'`);
+      }
+      index += 1;
+      return group;
+    }
+    if (token.type !== 'chord') {
+      throw fail(`expected a key before '${token.text}'`);
+    }
+    index += 1;
+    return [[token.text]];
+  };
+
+  const alternatives = parseGroup();
+  if (index < tokens.length) {
+    throw fail(`unexpected '${tokens[index].text}'`);
+  }
+  return alternatives;
+}
+
+/**
+ * @typedef KeystrokeToken
+ * @property {'chord' | 'or' | 'followedBy' | '(' | ')'} type
+ * @property {string} text
+ * @property {number} offset
+ */
+
+const TOKEN_PATTERN = /(\()|(\))|(\/)|(?<![\w+])(or)(?![\w+])|(?<![\w+])(followed\s+by)(?![\w+])/gi;
+
+/**
+ * @param {string} keystroke
+ * @returns {KeystrokeToken[]}
+ */
+function tokenize(keystroke) {
+  /** @type {KeystrokeToken[]} */
+  const tokens = [];
+  const pushChord = (text, offset) => {
+    const trimmed = text.trim();
+    if (trimmed) {
+      tokens.push({ type: 'chord', text: trimmed, offset: offset + text.indexOf(trimmed) });
+    }
+  };
+
+  let last = 0;
+  for (const match of keystroke.matchAll(TOKEN_PATTERN)) {
+    pushChord(keystroke.slice(last, match.index), last);
+    const [text, open, close, slash, or] = match;
+    const type = open ? '(' : close ? ')' : slash || or ? 'or' : 'followedBy';
+    tokens.push({ type, text, offset: match.index });
+    last = match.index + text.length;
+  }
+  pushChord(keystroke.slice(last), last);
+  return tokens;
+}
@@ -18,10 +18,26 @@ export const RunnerMessage = {
   SPEECH_EVENT: 'speechEvent',
   /** @type {'noRunTestSetup'} */
   NO_RUN_TEST_SETUP: 'noRunTestSetup',
+  /** @type {'runSetup'} */
+  RUN_SETUP: 'runSetup',
+  /** @type {'setupFailed'} */
+  SETUP_FAILED: 'setupFailed',
   /** @type {'atDriverComms'} */
   AT_DRIVER_COMMS: 'atDriverComms',
   /** @type {'capabilities'} */
   CAPABILITIES: 'capabilities',
+  /** @type {'atDriverRecovery'} */
+  AT_DRIVER_RECOVERY: 'atDriverRecovery',
+  /** @type {'speechCollected'} */
+  SPEECH_COLLECTED: 'speechCollected',
+  /** @type {'keyAliasesExpanded'} */
+  KEY_ALIASES_EXPANDED: 'keyAliasesExpanded',
+  /** @type {'commandRetry'} */
+  COMMAND_RETRY: 'commandRetry',
+  /** @type {'screenshotFailed'} */
+  SCREENSHOT_FAILED: 'screenshotFailed',
+  /** @type {'activeElementFailed'} */
+  ACTIVE_ELEMENT_FAILED: 'activeElementFailed',
 };
 
 export const RUNNER_TEMPLATES = {
@@ -33,10 +49,27 @@ export const RUNNER_TEMPLATES = {
   [RunnerMessage.SPEECH_EVENT]: ({ spokenText }) => `Speech event: '${spokenText}'.`,
   [RunnerMessage.NO_RUN_TEST_SETUP]: ({ referencePage }) =>
     `Test reference, ${referencePage}, does not have a Run Test Setup button.`,
+  [RunnerMessage.RUN_SETUP]: ({ referencePage, method, script, duration }) =>
+    `Ran the setup of ${referencePage}${script ? `, script '${script}',` : ''} ${
+      method === 'script' ? 'directly' : 'with its Run Test Setup button'
+    } in ${duration}ms.`,
+  [RunnerMessage.SETUP_FAILED]: ({ error }) => `Test setup failed: ${error}`,
   [RunnerMessage.AT_DRIVER_COMMS]: ({ direction, message }) =>
     `AT-Driver: ${direction}: ${message}`,
   [RunnerMessage.CAPABILITIES]: ({ capabilities }) =>
     `Capabilities: ${JSON.stringify(capabilities)}`,
+  [RunnerMessage.AT_DRIVER_RECOVERY]: ({ error, attempt }) =>
+    `AT-Driver connection lost (${error}). Reconnected and retrying test, attempt ${attempt}.`,
+  [RunnerMessage.SPEECH_COLLECTED]: ({ phase, duration, utterances, reason }) =>
+    `Collected ${utterances} utterances during ${phase} in ${duration}ms (${reason}).`,
+  [RunnerMessage.KEY_ALIASES_EXPANDED]: ({ command, input, expanded }) =>
+    `Expanded keys of '${command}' from '${input.join(', ')}' to '${expanded.join(', ')}'.`,
+  [RunnerMessage.COMMAND_RETRY]: ({ command, attempt, attempts, trigger, delay }) =>
+    `Retrying '${command}' in ${delay}ms, attempt ${attempt} of ${attempts} (${trigger}).`,
+  [RunnerMessage.SCREENSHOT_FAILED]: ({ command, phase, error }) =>
+    `Unable to take a screenshot after ${phase} of '${command}': ${error}`,
+  [RunnerMessage.ACTIVE_ELEMENT_FAILED]: ({ command, phase, error }) =>
+    `Unable to describe the focused element after ${phase} of '${command}': ${error}`,
 };
 
 export function createRunnerLogger(messages = RUNNER_TEMPLATES) {
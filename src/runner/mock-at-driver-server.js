@@ -0,0 +1,250 @@
+/**
+ * @module runner
+ */
+
+import * as fs from 'fs';
+
+import { WebSocketServer } from 'ws';
+
+import { ATKey, SPEECH_ENDED_EVENT, capabilitiesMismatch } from './at-driver.js';
+
+const DISCONNECT = Symbol('disconnect');
+
+/**
+ * A scriptable stand-in for an AT-Driver server.
+ *
+ * It speaks enough of the AT-Driver protocol for `ATDriver` and
+ * `DriverTestRunner` to run unchanged: `session.new`, `session.end`,
+ * `interaction.pressKeys`, and `settings.setSettings` /
+ * `settings.getSettings` (including vendor prefixed forms like
+ * `nvda:settings.setSettings`). Pressing keys answers with the speech the
+ * script configures for that key chord and, optionally, the current page.
+ */
+export class MockATDriverServer {
+  /**
+   * @param {object} options
+   * @param {AriaATCIRunner.MockATDriverScript} [options.script]
+   * @param {string} [options.hostname]
+   * @param {number} [options.port] port to listen on, 0 picks a free port
+   */
+  constructor({ script = {}, hostname = 'localhost', port = 0 } = {}) {
+    /** @type {AriaATCIRunner.MockATDriverScript} */
+    this.script = script;
+    this.capabilities = {
+      atName: 'mock',
+      atVersion: '1.0',
+      platformName: 'mock',
+      ...script.capabilities,
+    };
+    this.hostname = hostname;
+
+    this._responses = (script.responses || []).map(response => ({
+      ...response,
+      codePoints: chordCodePoints(response.keys),
+      speech: [].concat(response.speech ?? []),
+    }));
+    /** @type {Map<string, number>} */
+    this._responseTurns = new Map();
+
+    /** @type {string} */
+    this.page = 'about:blank';
+    /** @type {Object<string, *>} */
+    this.settings = {};
+    /** @type {{method: string, params: *}[]} */
+    this.received = [];
+
+    /** @type {Set<*>} */
+    this._sockets = new Set();
+    this._server = new WebSocketServer({ host: hostname, port });
+    this._server.on('connection', socket => this._connect(socket));
+
+    /** @type {Promise<void>} */
+    this.ready = new Promise((resolve, reject) => {
+      this._server.once('listening', resolve);
+      this._server.once('error', reject);
+    }).then(() => {
+      this.port = this._server.address().port;
+    });
+  }
+
+  /**
+   * @param {string} filepath JSON file describing a MockATDriverScript
+   * @returns {AriaATCIRunner.MockATDriverScript}
+   */
+  static readScript(filepath) {
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (cause) {
+      throw new Error(`Unable to read mock AT-Driver script from '${filepath}'`, { cause });
+    }
+  }
+
+  get url() {
+    return `ws://${this.hostname}:${this.port}/session`;
+  }
+
+  /**
+   * Change the page that scripted responses are matched against and speak any
+   * navigation speech scripted for it.
+   * @param {string} url
+   */
+  setPage(url) {
+    this.page = url;
+    const navigation = (this.script.navigation || []).find(({ page }) => url.includes(page));
+    if (navigation) {
+      this._speak([].concat(navigation.speech));
+    }
+  }
+
+  /**
+   * Drop every open connection without closing the server.
+   */
+  disconnect() {
+    for (const socket of this._sockets) {
+      socket.terminate();
+    }
+  }
+
+  async close() {
+    this.disconnect();
+    await new Promise(resolve => this._server.close(resolve));
+  }
+
+  _connect(socket) {
+    this._sockets.add(socket);
+    socket.on('close', () => this._sockets.delete(socket));
+    socket.on('message', rawMessage => {
+      let message;
+      try {
+        message = JSON.parse(rawMessage.toString());
+      } catch {
+        socket.send(JSON.stringify({ id: null, error: 'invalid argument', message: 'bad JSON' }));
+        return;
+      }
+      const { id, method, params } = message;
+      this.received.push({ method, params });
+      try {
+        const result = this._command(method, params);
+        if (result === DISCONNECT) {
+          this.disconnect();
+          return;
+        }
+        socket.send(JSON.stringify({ id, result }));
+      } catch (error) {
+        socket.send(
+          JSON.stringify({ id, error: error.code || 'unknown error', message: error.message })
+        );
+      }
+    });
+  }
+
+  /**
+   * @param {string} method
+   * @param {*} params
+   * @returns {*}
+   */
+  _command(method, params = {}) {
+    const [, command] = /^(?:[^:]+:)?(.*)$/.exec(method);
+    switch (command) {
+      case 'session.new': {
+        const mismatch = capabilitiesMismatch(params.capabilities, this.capabilities);
+        if (mismatch) {
+          throw Object.assign(new Error(`No session satisfies the requested ${mismatch}.`), {
+            code: 'session not created',
+          });
+        }
+        return { sessionId: 'mock-session', capabilities: this.capabilities };
+      }
+      case 'session.end':
+        return {};
+      case 'settings.setSettings':
+        for (const { name, value } of params.settings || []) {
+          this.settings[name] = value;
+        }
+        return {};
+      case 'settings.getSettings':
+        return {
+          settings: (params.settings || []).map(({ name }) => ({
+            name,
+            value: this.settings[name],
+          })),
+        };
+      case 'interaction.pressKeys':
+        return this._pressKeys(params.keys);
+      default:
+        throw Object.assign(new Error(`Unknown command '${method}'.`), {
+          code: 'unknown command',
+        });
+    }
+  }
+
+  /**
+   * @param {string[]} keys
+   * @returns {{} | typeof DISCONNECT}
+   */
+  _pressKeys(keys) {
+    const chord = keys.join('');
+    const candidates = this._responses.filter(({ codePoints }) => codePoints === chord);
+    const pageCandidates = candidates.filter(({ page }) => page && this.page.includes(page));
+    const matching = pageCandidates.length
+      ? pageCandidates
+      : candidates.filter(({ page }) => !page);
+    if (matching.length === 0) {
+      return {};
+    }
+
+    // Responses sharing a key chord and page are answered in turn, so a toggle
+    // like NVDA's insert+space can alternate between its two modes.
+    const turnKey = `${chord}\n${matching[0].page ?? ''}`;
+    const turn = this._responseTurns.get(turnKey) ?? 0;
+    this._responseTurns.set(turnKey, turn + 1);
+    const response = matching[turn % matching.length];
+    if (response.disconnect) {
+      return DISCONNECT;
+    }
+    this._speak(response.speech);
+    return {};
+  }
+
+  /**
+   * @param {string[]} speech
+   */
+  _speak(speech) {
+    const delay = this.script.speechDelay ?? 10;
+    speech.forEach((data, index) => {
+      setTimeout(() => {
+        this._broadcast({ method: 'interaction.capturedOutput', params: { data } });
+      }, delay * (index + 1));
+    });
+    if (this.script.speechEnded && speech.length > 0) {
+      setTimeout(() => {
+        this._broadcast({ method: SPEECH_ENDED_EVENT, params: {} });
+      }, delay * speech.length + 1);
+    }
+  }
+
+  /**
+   * @param {{method: string, params: *}} event
+   */
+  _broadcast(event) {
+    const message = JSON.stringify(event);
+    for (const socket of this._sockets) {
+      socket.send(message);
+    }
+  }
+}
+
+/**
+ * @param {string} keys key names joined by '+', like 'insert+space'
+ * @returns {string}
+ */
+function chordCodePoints(keys) {
+  return ATKey.chord(
+    ...keys
+      .split('+')
+      .map(key => key.trim())
+      .map(key => ATKey.key(key))
+  )
+    .toAtDriverKeyCodes()
+    .join('');
+}
@@ -4,6 +4,7 @@
 
 import { request } from 'http';
 import { RunnerMessage } from './messages.js';
+import { RunCancellation } from './cancellation.js';
 import { validateKeysFromCommand } from './driver-test-runner.js';
 
 /**
@@ -14,10 +15,25 @@ export class MockTestRunner {
    * @param {object} options
    * @param {URL} options.baseUrl
    * @param {AriaATCIHost.Log} options.log
+   * @param {import('./verdict-engine.js').VerdictEngine} [options.verdictEngine]
    */
-  constructor({ baseUrl, log }) {
+  constructor({ baseUrl, log, verdictEngine = null }) {
     this.baseUrl = baseUrl;
     this.log = log;
+    this.verdictEngine = verdictEngine;
+    this._cancellation = new RunCancellation();
+  }
+
+  cancel() {
+    this._cancellation.cancel();
+  }
+
+  /**
+   * @param {object} options
+   * @param {URL} options.baseUrl
+   */
+  async reuse({ baseUrl }) {
+    this.baseUrl = baseUrl;
   }
 
   async openPage(url) {
@@ -48,50 +64,67 @@ export class MockTestRunner {
    * @param {AriaATCIData.CollectedTest} task
    */
   async run(task) {
-    await this.openPage(
-      new URL(
-        `${this.baseUrl.pathname ? `${this.baseUrl.pathname}/` : ''}${task.target.referencePage}`,
-        this.baseUrl.toString()
-      )
-    );
+    const cancellation = this._cancellation.start();
+    try {
+      await this.openPage(
+        new URL(
+          `${this.baseUrl.pathname ? `${this.baseUrl.pathname}/` : ''}${task.target.referencePage}`,
+          this.baseUrl.toString()
+        )
+      );
 
-    const commandsOutput = [];
+      const commandsOutput = [];
+      let cancelled = false;
 
-    for (const command of task.commands) {
-      const { value: validCommand, errors } = validateKeysFromCommand(command);
-      const assertions = task.assertions.map(assertion => {
-        return {
-          expectation: assertion.expectation || assertion.assertionStatement,
-          verdict: null,
-        };
-      });
-      if (validCommand) {
-        const mockOutput = `mocked output for ${command.id}`;
-        commandsOutput.push({
-          command: validCommand.id,
-          response: mockOutput,
-          assertions,
+      for (const command of task.commands) {
+        if (cancellation.cancelled) {
+          cancelled = true;
+          break;
+        }
+        const { value: validCommand, errors } = validateKeysFromCommand(command);
+        const assertions = task.assertions.map(assertion => {
+          return {
+            expectation: assertion.expectation || assertion.assertionStatement,
+            verdict: null,
+          };
         });
-      } else {
-        await this.log(RunnerMessage.INVALID_KEYS, { command, errors });
+        if (validCommand) {
+          const mockOutput = `mocked output for ${command.id}`;
+          commandsOutput.push({
+            command: validCommand.id,
+            response: mockOutput,
+            assertions: this.verdictEngine
+              ? this.verdictEngine.evaluate({
+                  command: validCommand.id,
+                  response: mockOutput,
+                  assertions,
+                })
+              : assertions,
+          });
+        } else {
+          await this.log(RunnerMessage.INVALID_KEYS, { command, errors });
 
-        commandsOutput.push({
-          command: command.id,
-          errors,
-          assertions,
-        });
+          commandsOutput.push({
+            command: command.id,
+            errors,
+            assertions,
+          });
+        }
       }
-    }
 
-    return {
-      capabilities: {
-        browserName: 'mock',
-        browserVersion: '1.0',
-        atName: 'mock',
-        atVersion: '1.0',
-        platformName: 'mock',
-      },
-      commands: commandsOutput,
-    };
+      return {
+        capabilities: {
+          browserName: 'mock',
+          browserVersion: '1.0',
+          atName: 'mock',
+          atVersion: '1.0',
+          platformName: 'mock',
+        },
+        commands: commandsOutput,
+        ...(cancelled ? { cancelled } : {}),
+      };
+    } finally {
+      this._cancellation.end();
+    }
   }
 }
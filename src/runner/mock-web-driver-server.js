@@ -0,0 +1,309 @@
+/**
+ * @module runner
+ */
+
+import express from 'express';
+import fetch from 'node-fetch';
+
+const SESSION_ID = 'mock-session';
+
+/**
+ * Key W3C WebDriver uses for element references.
+ */
+const ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+
+/**
+ * A base64 encoded 1x1 white PNG, answered for every screenshot.
+ */
+const SCREENSHOT =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4//8/AAX+Av4N70a4AAAAAElFTkSuQmCC';
+
+/**
+ * A stand-in for a W3C WebDriver server like geckodriver or chromedriver.
+ *
+ * It answers enough of the protocol for `createWebDriver` to run unchanged:
+ * creating and deleting a session, switching to the top frame, minimizing and
+ * placing the window, navigating, running scripts, finding elements by css
+ * selector, clicking them, and taking screenshots. Navigating fetches the page and keeps its
+ * markup's elements as the page's DOM. Scripts are not run, so elements added
+ * by a page's scripts are never found.
+ */
+export class MockWebDriverServer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.hostname]
+   * @param {number} [options.port] port to listen on, 0 picks a free port
+   * @param {{setPage: function(string): void}} [options.atDriverServer] told
+   *   about each page navigated to, like a MockATDriverServer
+   */
+  constructor({ hostname = 'localhost', port = 0, atDriverServer } = {}) {
+    this.hostname = hostname;
+    this.atDriverServer = atDriverServer;
+
+    /** @type {string} */
+    this.page = 'about:blank';
+    /** @type {MockWebDriverElement[]} */
+    this.elements = [];
+    /** @type {MockWebDriverElement[]} */
+    this.clicked = [];
+    /** @type {{method: string, path: string, body: *}[]} */
+    this.received = [];
+    /** @type {string | null} */
+    this.sessionId = null;
+
+    this._app = express();
+    this._app.use(express.json({ type: () => true }));
+    this._app.use((request, response, next) => {
+      this.received.push({ method: request.method, path: request.path, body: request.body });
+      next();
+    });
+    this._routes();
+
+    this._server = null;
+    /** @type {Promise<void>} */
+    this.ready = new Promise((resolve, reject) => {
+      const server = this._app.listen(port, hostname, () => resolve(server));
+      server.on('error', reject);
+    }).then(server => {
+      this._server = server;
+      this.port = server.address().port;
+    });
+  }
+
+  get url() {
+    return `http://${this.hostname}:${this.port}`;
+  }
+
+  async close() {
+    if (this._server) {
+      this._server.closeAllConnections();
+      await new Promise(resolve => this._server.close(resolve));
+    }
+  }
+
+  _routes() {
+    const app = this._app;
+
+    app.post('/session', (request, response) => {
+      if (this.sessionId) {
+        throw webDriverError('session not created', 'Only one session may run at a time.');
+      }
+      const { alwaysMatch = {}, firstMatch = [{}] } = request.body.capabilities || {};
+      this.sessionId = SESSION_ID;
+      this.page = 'about:blank';
+      this.elements = [];
+      response.json({
+        value: {
+          sessionId: this.sessionId,
+          capabilities: {
+            browserName: 'mock',
+            browserVersion: '1.0',
+            platformName: 'mock',
+            ...firstMatch[0],
+            ...alwaysMatch,
+          },
+        },
+      });
+    });
+
+    const session = express.Router();
+    app.use('/session/:sessionId', (request, response, next) => {
+      if (request.params.sessionId !== this.sessionId) {
+        throw webDriverError('invalid session id', `No session '${request.params.sessionId}'.`);
+      }
+      next();
+    });
+    app.use('/session/:sessionId', session);
+
+    session.delete('/', (request, response) => {
+      this.sessionId = null;
+      response.json({ value: null });
+    });
+
+    session.post('/frame', (request, response) => {
+      if (request.body.id !== null) {
+        throw webDriverError('no such frame', 'Only the top frame exists.');
+      }
+      response.json({ value: null });
+    });
+
+    session.post('/window/minimize', (request, response) => {
+      response.json({ value: { x: 0, y: 0, width: 0, height: 0 } });
+    });
+
+    session.post('/window/rect', (request, response) => {
+      const { x = 0, y = 0, width = 1280, height = 800 } = request.body;
+      response.json({ value: { x, y, width, height } });
+    });
+
+    session.get('/url', (request, response) => {
+      response.json({ value: this.page });
+    });
+
+    session.post('/url', (request, response, next) => {
+      this._navigate(request.body.url).then(() => response.json({ value: null }), next);
+    });
+
+    // Scripts are not run. `documentReady`'s script gets its callback's
+    // answer, as the page is complete once it is navigated to.
+    session.post(['/execute/sync', '/execute/async'], (request, response) => {
+      response.json({ value: null });
+    });
+
+    session.get('/screenshot', (request, response) => {
+      response.json({ value: SCREENSHOT });
+    });
+
+    session.post('/elements', (request, response) => {
+      response.json({ value: this._find(request.body).map(elementReference) });
+    });
+
+    session.post('/element', (request, response) => {
+      const [element] = this._find(request.body);
+      if (!element) {
+        throw webDriverError('no such element', `No element matches '${request.body.value}'.`);
+      }
+      response.json({ value: elementReference(element) });
+    });
+
+    session.post('/element/:elementId/click', (request, response) => {
+      const element = this.elements.find(({ id }) => id === request.params.elementId);
+      if (!element) {
+        throw webDriverError(
+          'stale element reference',
+          `Element '${request.params.elementId}' is not in the current page.`
+        );
+      }
+      this.clicked.push(element);
+      response.json({ value: null });
+    });
+
+    app.use(request => {
+      throw webDriverError(
+        'unknown command',
+        `Unknown command '${request.method} ${request.path}'.`
+      );
+    });
+
+    // Express finds error handlers by their four parameters.
+    app.use((error, request, response, next) => {
+      const code = error.webDriverCode || 'unknown error';
+      response.status(ERROR_STATUS[code] ?? 500).json({
+        value: { error: code, message: error.message, stacktrace: '' },
+      });
+    });
+  }
+
+  /**
+   * @param {string} url
+   */
+  async _navigate(url) {
+    if (url === 'about:blank') {
+      this.elements = [];
+    } else {
+      const page = await fetch(url);
+      if (!page.ok) {
+        throw webDriverError('unknown error', `Fetching '${url}' answered ${page.status}.`);
+      }
+      this.elements = parseElements(await page.text());
+    }
+    this.page = url;
+    this.atDriverServer?.setPage(url);
+  }
+
+  /**
+   * @param {{using: string, value: string}} locator
+   * @returns {MockWebDriverElement[]}
+   */
+  _find({ using, value }) {
+    if (using !== 'css selector') {
+      throw webDriverError('invalid argument', `Locating elements by ${using} is not supported.`);
+    }
+    const selector = parseSelector(value);
+    return this.elements.filter(
+      element =>
+        (!selector.tagName || element.tagName === selector.tagName) &&
+        (!selector.id || element.attributes.id === selector.id) &&
+        selector.classNames.every(className => element.classNames.includes(className))
+    );
+  }
+}
+
+/**
+ * @typedef MockWebDriverElement
+ * @property {string} id
+ * @property {string} tagName
+ * @property {string[]} classNames
+ * @property {Object<string, string>} attributes
+ */
+
+const ERROR_STATUS = {
+  'invalid argument': 400,
+  'invalid session id': 404,
+  'no such element': 404,
+  'no such frame': 404,
+  'stale element reference': 404,
+  'unknown command': 404,
+  'session not created': 500,
+  'unknown error': 500,
+};
+
+/**
+ * @param {string} code
+ * @param {string} message
+ */
+function webDriverError(code, message) {
+  return Object.assign(new Error(message), { webDriverCode: code });
+}
+
+/**
+ * @param {MockWebDriverElement} element
+ */
+function elementReference({ id }) {
+  return { [ELEMENT_KEY]: id };
+}
+
+/**
+ * Elements of a page's markup, in document order.
+ * @param {string} html
+ * @returns {MockWebDriverElement[]}
+ */
+function parseElements(html) {
+  const withoutComments = html.replace(/<!--[\s\S]*?-->/g, '');
+  return Array.from(
+    withoutComments.matchAll(/<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g)
+  ).map(([, tagName, attributeText], index) => {
+    /** @type {Object<string, string>} */
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of attributeText.matchAll(
+      /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g
+    )) {
+      attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? unquoted ?? '';
+    }
+    return {
+      id: `mock-element-${index}`,
+      tagName: tagName.toLowerCase(),
+      classNames: (attributes.class || '').split(/\s+/).filter(Boolean),
+      attributes,
+    };
+  });
+}
+
+/**
+ * Parse a compound selector of an optional tag name, id, and class names, like
+ * `button.button-run-test-setup`.
+ * @param {string} value
+ */
+function parseSelector(value) {
+  const match = /^([a-zA-Z][\w-]*)?((?:[.#][\w-]+)*)$/.exec(value.trim());
+  if (!match) {
+    throw webDriverError('invalid argument', `Unsupported css selector '${value}'.`);
+  }
+  const [, tagName, rest] = match;
+  const parts = rest.match(/[.#][\w-]+/g) || [];
+  return {
+    tagName: tagName?.toLowerCase(),
+    id: parts.find(part => part.startsWith('#'))?.slice(1),
+    classNames: parts.filter(part => part.startsWith('.')).map(part => part.slice(1)),
+  };
+}
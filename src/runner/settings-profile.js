@@ -0,0 +1,304 @@
+/**
+ * @module runner
+ */
+
+import * as fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import { ATKey } from './at-driver.js';
+
+const BUILTIN_PROFILES_DIR = new URL('./settings-profiles/', import.meta.url);
+
+/**
+ * How to put one assistive technology into the settings tests ask for.
+ *
+ * A profile maps setting names, matched case insensitively, to the step that
+ * applies them: an AT-Driver `command` to send, `keys` to press until the AT
+ * speaks the expected `speech`, or nothing at all for settings that are
+ * already in effect. `before` and `after` commands are sent around every group
+ * of settings, and `modes` maps the v1 test modes to a setting name.
+ * `keyAliases` names keys, like VoiceOver's "VO", that keypress ids may use.
+ */
+export class SettingsProfile {
+  /**
+   * @param {AriaATCIRunner.SettingsProfileData} profile
+   * @param {string} [source] where the profile was read from, used in errors
+   */
+  constructor(profile, source = 'inline') {
+    this.source = source;
+    /** @type {AriaATCIRunner.SettingsProfileData} */
+    this.profile = validateProfile(profile, source);
+    /** @type {Map<string, SettingStep>} */
+    this._steps = new Map(
+      Object.entries(this.profile.settings).map(([name, step]) => [
+        name.toLowerCase(),
+        compileStep(step),
+      ])
+    );
+  }
+
+  /**
+   * @param {string} filepath JSON file describing a SettingsProfileData
+   * @returns {SettingsProfile}
+   */
+  static fromFile(filepath) {
+    let profile;
+    try {
+      profile = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (cause) {
+      throw new Error(`Unable to read settings profile from '${filepath}'`, { cause });
+    }
+    return new SettingsProfile(profile, filepath);
+  }
+
+  get atName() {
+    return this.profile.atName;
+  }
+
+  get before() {
+    return this.profile.before || [];
+  }
+
+  get after() {
+    return this.profile.after || [];
+  }
+
+  /**
+   * @returns {AriaATCIRunner.KeyAliasTable}
+   */
+  get keyAliases() {
+    return this.profile.keyAliases || {};
+  }
+
+  /**
+   * @param {string} name
+   * @returns {SettingStep}
+   */
+  step(name) {
+    const step = this._steps.get(name.toLowerCase());
+    if (!step) {
+      throw new Error(
+        `Unknown setting "${name}" in the ${this.atName} settings profile (${this.source})`
+      );
+    }
+    return step;
+  }
+
+  /**
+   * @param {string} mode v1 test mode like "reading" or "interaction"
+   * @returns {string | undefined} name of the setting the mode needs, if any
+   */
+  settingForMode(mode) {
+    const modes = this.profile.modes || {};
+    const key = Object.keys(modes).find(key => key.toLowerCase() === mode.toLowerCase());
+    return key === undefined ? undefined : modes[key];
+  }
+
+  /**
+   * Combine this profile with another for the same AT. Settings, modes and key
+   * aliases in `other` are added or replace ones with the same name; its
+   * `before` and `after` commands replace this profile's if given.
+   *
+   * @param {SettingsProfile} other
+   * @returns {SettingsProfile}
+   */
+  extend(other) {
+    return new SettingsProfile(
+      {
+        atName: this.atName,
+        before: other.profile.before ?? this.profile.before,
+        after: other.profile.after ?? this.profile.after,
+        settings: mergeCaseInsensitive(this.profile.settings, other.profile.settings),
+        modes: mergeCaseInsensitive(this.profile.modes || {}, other.profile.modes || {}),
+        keyAliases: mergeCaseInsensitive(this.keyAliases, other.keyAliases),
+      },
+      `${this.source}, ${other.source}`
+    );
+  }
+}
+
+/**
+ * The settings profiles available to a run, one per AT name.
+ */
+export class SettingsProfiles {
+  /**
+   * @param {SettingsProfile[]} profiles later profiles extend earlier ones for
+   *   the same AT
+   */
+  constructor(profiles) {
+    /** @type {Map<string, SettingsProfile>} */
+    this._profiles = new Map();
+    for (const profile of profiles) {
+      const key = profile.atName.toLowerCase();
+      const existing = this._profiles.get(key);
+      this._profiles.set(key, existing ? existing.extend(profile) : profile);
+    }
+  }
+
+  /**
+   * Load the built-in profiles followed by the profiles in `filepaths`.
+   *
+   * @param {string[]} [filepaths]
+   * @returns {SettingsProfiles}
+   */
+  static load(filepaths = []) {
+    const builtins = fs
+      .readdirSync(BUILTIN_PROFILES_DIR)
+      .filter(filename => filename.endsWith('.json'))
+      .sort()
+      .map(filename => fileURLToPath(new URL(filename, BUILTIN_PROFILES_DIR)));
+    return new SettingsProfiles(
+      [...builtins, ...filepaths].map(filepath => SettingsProfile.fromFile(filepath))
+    );
+  }
+
+  /**
+   * @param {string} atName
+   * @returns {SettingsProfile | undefined}
+   */
+  get(atName) {
+    return this._profiles.get(atName.toLowerCase());
+  }
+
+  *[Symbol.iterator]() {
+    yield* this._profiles.values();
+  }
+}
+
+/**
+ * @typedef SettingStep
+ * @property {AriaATCIRunner.ATDriverCommand} [command]
+ * @property {import('./at-driver.js').ATKeySequence} [keys]
+ * @property {string} [speech]
+ */
+
+/**
+ * @param {AriaATCIRunner.SettingsProfileStep} step
+ * @returns {SettingStep}
+ */
+function compileStep(step) {
+  return {
+    ...(step.command ? { command: step.command } : {}),
+    ...(step.keys ? { keys: parseKeys(step.keys), speech: step.speech } : {}),
+  };
+}
+
+/**
+ * @param {string | string[]} keys chords of key names joined by '+', like
+ *   'insert+space'
+ * @returns {import('./at-driver.js').ATKeySequence}
+ */
+export function parseKeys(keys) {
+  return ATKey.sequence(
+    ...[]
+      .concat(keys)
+      .map(chord => ATKey.chord(...chord.split('+').map(key => ATKey.key(key.trim()))))
+  );
+}
+
+/**
+ * @param {Object<string, *>} base
+ * @param {Object<string, *>} overrides
+ * @returns {Object<string, *>}
+ */
+function mergeCaseInsensitive(base, overrides) {
+  const merged = { ...base };
+  for (const [name, value] of Object.entries(overrides)) {
+    for (const existing of Object.keys(merged)) {
+      if (existing.toLowerCase() === name.toLowerCase()) {
+        delete merged[existing];
+      }
+    }
+    merged[name] = value;
+  }
+  return merged;
+}
+
+/**
+ * @param {*} profile
+ * @param {string} source
+ * @returns {AriaATCIRunner.SettingsProfileData}
+ */
+function validateProfile(profile, source) {
+  const invalid = message => new Error(`Invalid settings profile (${source}): ${message}`);
+  if (!profile || typeof profile !== 'object') {
+    throw invalid('must be an object');
+  }
+  if (typeof profile.atName !== 'string' || !profile.atName) {
+    throw invalid('"atName" must be a non-empty string');
+  }
+  for (const key of ['before', 'after']) {
+    if (profile[key] === undefined) continue;
+    if (!Array.isArray(profile[key])) {
+      throw invalid(`"${key}" must be an array of AT-Driver commands`);
+    }
+    profile[key].forEach((command, index) => validateCommand(command, `${key}[${index}]`, invalid));
+  }
+  if (!profile.settings || typeof profile.settings !== 'object') {
+    throw invalid('"settings" must be an object');
+  }
+  for (const [name, step] of Object.entries(profile.settings)) {
+    if (!step || typeof step !== 'object') {
+      throw invalid(`setting "${name}" must be an object`);
+    }
+    if (step.command !== undefined) {
+      validateCommand(step.command, `setting "${name}" command`, invalid);
+    }
+    if (step.keys !== undefined) {
+      if (
+        !(typeof step.keys === 'string' || Array.isArray(step.keys)) ||
+        [].concat(step.keys).some(chord => typeof chord !== 'string' || !chord)
+      ) {
+        throw invalid(`setting "${name}" keys must be a key chord or an array of key chords`);
+      }
+      if (typeof step.speech !== 'string' || !step.speech) {
+        throw invalid(`setting "${name}" must give the "speech" confirming its keys`);
+      }
+      try {
+        parseKeys(step.keys);
+      } catch (error) {
+        throw invalid(`setting "${name}" keys: ${error.message}`);
+      }
+    }
+  }
+  if (profile.modes !== undefined) {
+    if (!profile.modes || typeof profile.modes !== 'object') {
+      throw invalid('"modes" must be an object');
+    }
+    for (const [mode, setting] of Object.entries(profile.modes)) {
+      if (typeof setting !== 'string') {
+        throw invalid(`mode "${mode}" must name a setting`);
+      }
+    }
+  }
+  if (profile.keyAliases !== undefined) {
+    if (!profile.keyAliases || typeof profile.keyAliases !== 'object') {
+      throw invalid('"keyAliases" must be an object');
+    }
+    for (const [alias, value] of Object.entries(profile.keyAliases)) {
+      const chords = value && typeof value === 'object' ? Object.values(value) : [value];
+      if (chords.some(chord => typeof chord !== 'string' || !chord)) {
+        throw invalid(
+          `key alias "${alias}" must be a key chord or an object of key chords by platformName`
+        );
+      }
+      try {
+        chords.forEach(chord => parseKeys(chord));
+      } catch (error) {
+        throw invalid(`key alias "${alias}": ${error.message}`);
+      }
+    }
+  }
+  return profile;
+}
+
+/**
+ * @param {*} command
+ * @param {string} name
+ * @param {function(string): Error} invalid
+ */
+function validateCommand(command, name, invalid) {
+  if (!command || typeof command !== 'object' || typeof command.method !== 'string') {
+    throw invalid(`${name} must be an object with a "method" string`);
+  }
+}
@@ -0,0 +1,74 @@
+import test from 'ava';
+
+import { ARIA_STATES, activeElementSnapshot } from '../browser-driver/active-element.js';
+
+/**
+ * A stand-in for the few parts of a DOM element the snapshot reads.
+ * @param {object} options
+ * @param {string} options.tagName
+ * @param {string} [options.id]
+ * @param {Object<string, string>} [options.attributes]
+ * @param {string} [options.textContent]
+ */
+function fakeElement({ tagName, id = '', attributes = {}, textContent = '' }) {
+  return {
+    tagName,
+    id,
+    textContent,
+    getAttribute: name => attributes[name] ?? null,
+    hasAttribute: name => name in attributes,
+  };
+}
+
+/**
+ * @param {*} document
+ */
+function withDocument(t, document) {
+  const global = /** @type {*} */ (globalThis);
+  global.document = document;
+  t.teardown(() => {
+    delete global.document;
+  });
+}
+
+test('describes the focused element with its name inputs and ARIA states', t => {
+  const labels = {
+    'label-1': fakeElement({ tagName: 'SPAN', textContent: ' Favorite\n  color ' }),
+    'label-2': fakeElement({ tagName: 'SPAN', textContent: 'list' }),
+  };
+  withDocument(t, {
+    activeElement: fakeElement({
+      tagName: 'DIV',
+      id: 'listbox',
+      attributes: {
+        role: 'combobox',
+        'aria-labelledby': 'label-1 missing label-2',
+        'aria-expanded': 'false',
+        'aria-activedescendant': '',
+        'data-value': 'blue',
+      },
+      textContent: 'Blue',
+    }),
+    getElementById: id => labels[id] ?? null,
+  });
+
+  t.deepEqual(activeElementSnapshot(ARIA_STATES), {
+    tagName: 'div',
+    id: 'listbox',
+    role: 'combobox',
+    name: {
+      ariaLabel: null,
+      ariaLabelledby: 'label-1 missing label-2',
+      labelledbyText: 'Favorite color list',
+      title: null,
+      text: 'Blue',
+    },
+    states: { 'aria-activedescendant': '', 'aria-expanded': 'false' },
+  });
+});
+
+test('describes no element when nothing has focus', t => {
+  withDocument(t, { activeElement: null });
+
+  t.is(activeElementSnapshot(ARIA_STATES), null);
+});
@@ -0,0 +1,37 @@
+import test from 'ava';
+
+import { ATAdapters, ProfileATAdapter, loadATAdapterModule } from '../at-adapter.js';
+
+test('built-in adapters are backed by settings profiles', t => {
+  const adapters = ATAdapters.fromSettingsProfiles();
+
+  t.true(adapters.get('nvda') instanceof ProfileATAdapter);
+  t.true(adapters.get('VoiceOver') instanceof ProfileATAdapter);
+  t.is(adapters.get('JAWS'), undefined);
+});
+
+test('loaded adapters replace built-in adapters for the same AT', async t => {
+  const nvda = {
+    atName: 'nvda',
+    async ensureSettings() {},
+    async ensureMode() {},
+  };
+  const adapters = new ATAdapters([...ATAdapters.fromSettingsProfiles()._adapters.values(), nvda]);
+
+  t.is(adapters.get('NVDA'), nvda);
+});
+
+test('adapter modules are validated', async t => {
+  const [jaws] = await loadATAdapterModule(
+    new URL('./fixtures/jaws-adapter.js', import.meta.url).pathname
+  );
+  t.is(jaws.atName, 'JAWS');
+
+  await t.throwsAsync(loadATAdapterModule('does-not-exist.js'), {
+    message: "Unable to load AT adapter from 'does-not-exist.js'",
+  });
+  // @ts-expect-error ensureMode is required
+  t.throws(() => new ATAdapters([{ atName: 'Orca', async ensureSettings() {} }]), {
+    message: 'Invalid AT adapter (inline): "ensureMode" must be a function',
+  });
+});
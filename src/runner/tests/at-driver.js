@@ -0,0 +1,413 @@
+import test from 'ava';
+import { WebSocketServer } from 'ws';
+
+import {
+  ATDriver,
+  ATKey,
+  AT_DRIVER_CONNECTION_LOST,
+  capabilitiesMismatch,
+  createATDriver,
+} from '../at-driver.js';
+import { MockATDriverServer } from '../mock-at-driver-server.js';
+import { WATCHDOG_TIMEOUT } from '../../shared/watchdog.js';
+
+async function connect(t, port, reconnect = undefined, capabilities = undefined) {
+  /** @type {function(): void} */
+  let stop;
+  const abortSignal = new Promise(resolve => (stop = () => resolve()));
+  t.teardown(() => stop());
+  return await createATDriver({
+    url: { hostname: 'localhost', port, pathname: '/session' },
+    abortSignal,
+    log: () => {},
+    reconnect,
+    capabilities,
+  });
+}
+
+async function startMockServer(t, script) {
+  const server = new MockATDriverServer({ script });
+  await server.ready;
+  t.teardown(() => server.close());
+  return server;
+}
+
+test('concurrent requests are answered by id', async t => {
+  const server = await startMockServer(t, {});
+  const driver = await connect(t, server.port);
+
+  const [set, pressed, get] = await Promise.all([
+    driver._send({
+      method: 'settings.setSettings',
+      params: { settings: [{ name: 'a', value: 1 }] },
+    }),
+    driver._send({ method: 'interaction.pressKeys', params: { keys: ['a'] } }),
+    driver._send({ method: 'settings.getSettings', params: { settings: [{ name: 'a' }] } }),
+  ]);
+
+  t.deepEqual(set.result, {});
+  t.deepEqual(pressed.result, {});
+  t.deepEqual(get.result, { settings: [{ name: 'a', value: 1 }] });
+});
+
+test('server errors reject the matching request', async t => {
+  const server = await startMockServer(t, {});
+  const driver = await connect(t, server.port);
+
+  await t.throwsAsync(driver._send({ method: 'unknown.method' }), {
+    message: "unknown command: Unknown command 'unknown.method'.",
+  });
+});
+
+test('speech is delivered to every subscriber', async t => {
+  const server = await startMockServer(t, {
+    speechDelay: 1,
+    responses: [{ keys: 'tab', speech: ['one', 'two'] }],
+  });
+  const driver = await connect(t, server.port);
+
+  const subscribed = [];
+  const unsubscribe = driver.subscribe('interaction.capturedOutput', ({ data }) =>
+    subscribed.push(data)
+  );
+  const iterated = [];
+  const iterating = (async () => {
+    for await (const speech of driver.speeches()) {
+      iterated.push(speech);
+      if (iterated.length === 2) break;
+    }
+  })();
+
+  await driver.sendKeys(ATKey.key('tab'));
+  await iterating;
+  unsubscribe();
+
+  t.deepEqual(iterated, ['one', 'two']);
+  t.deepEqual(subscribed, ['one', 'two']);
+});
+
+test('in-flight requests reject when the socket closes', async t => {
+  const server = new WebSocketServer({ host: 'localhost', port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  t.teardown(() => new Promise(resolve => server.close(resolve)));
+  server.on('connection', socket => {
+    socket.on('message', rawMessage => {
+      const { id, method } = JSON.parse(rawMessage.toString());
+      if (method === 'session.new') {
+        socket.send(JSON.stringify({ id, result: { capabilities: {} } }));
+      } else {
+        // Never answer, close instead.
+        socket.close();
+      }
+    });
+  });
+
+  const driver = await connect(t, server.address().port);
+  t.true(driver instanceof ATDriver);
+
+  await t.throwsAsync(driver._send({ method: 'interaction.pressKeys', params: { keys: ['a'] } }), {
+    message: "AT-Driver connection closed while waiting for a response to 'interaction.pressKeys'",
+  });
+  await t.throwsAsync(driver._send({ method: 'interaction.pressKeys', params: { keys: ['a'] } }), {
+    message: 'AT-Driver connection unexpectedly closed',
+  });
+
+  const speeches = [];
+  for await (const speech of driver.speeches()) {
+    speeches.push(speech);
+  }
+  t.deepEqual(speeches, []);
+});
+
+test('requests fail once the call timeout passes', async t => {
+  const server = new WebSocketServer({ host: 'localhost', port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  t.teardown(() => new Promise(resolve => server.close(resolve)));
+  server.on('connection', socket => {
+    socket.on('message', rawMessage => {
+      const { id, method } = JSON.parse(rawMessage.toString());
+      if (method === 'session.new') {
+        socket.send(JSON.stringify({ id, result: { capabilities: {} } }));
+      }
+      // Never answer anything else.
+    });
+  });
+
+  /** @type {function(): void} */
+  let stop;
+  const abortSignal = new Promise(resolve => (stop = () => resolve()));
+  t.teardown(() => stop());
+  const driver = await createATDriver({
+    url: { hostname: 'localhost', port: server.address().port, pathname: '/session' },
+    abortSignal,
+    log: () => {},
+    callTimeout: 50,
+  });
+
+  const error = await t.throwsAsync(
+    driver._send({ method: 'interaction.pressKeys', params: { keys: ['a'] } }),
+    { message: 'The call deadline of 50ms passed during AT-Driver interaction.pressKeys' }
+  );
+  t.like(error, {
+    code: WATCHDOG_TIMEOUT,
+    scope: 'call',
+    phase: 'AT-Driver interaction.pressKeys',
+    timeout: 50,
+  });
+  t.is(driver._pending.size, 0);
+});
+
+test('reconnecting opens a new session and reapplies settings', async t => {
+  const server = await startMockServer(t, {});
+  const driver = await connect(t, server.port, { attempts: 2, delay: 1 });
+  await driver._send({
+    method: 'nvda:settings.setSettings',
+    params: { settings: [{ name: 'a', value: 1 }] },
+  });
+  await driver._send({
+    method: 'nvda:settings.setSettings',
+    params: { settings: [{ name: 'a', value: 2 }] },
+  });
+
+  server.disconnect();
+  await driver.closed;
+  t.true(driver.canReconnect);
+  await t.throwsAsync(driver._send({ method: 'session.end' }), {
+    code: AT_DRIVER_CONNECTION_LOST,
+  });
+
+  await driver.reconnect();
+
+  t.deepEqual(
+    server.received.slice(-2).map(({ method, params }) => ({ method, params })),
+    [
+      { method: 'session.new', params: { capabilities: {} } },
+      { method: 'nvda:settings.setSettings', params: { settings: [{ name: 'a', value: 2 }] } },
+    ]
+  );
+  t.deepEqual((await driver._send({ method: 'session.end' })).result, {});
+});
+
+test('resetting settings restores the values they had before they were set', async t => {
+  const server = await startMockServer(t, {});
+  server.settings = { a: 'before', b: 'unchanged' };
+  const driver = await connect(t, server.port);
+  await driver._send({
+    method: 'settings.setSettings',
+    params: { settings: [{ name: 'a', value: 1 }] },
+  });
+  await driver._send({
+    method: 'settings.setSettings',
+    params: {
+      settings: [
+        { name: 'a', value: 2 },
+        { name: 'c', value: 3 },
+      ],
+    },
+  });
+  t.deepEqual(server.settings, { a: 2, b: 'unchanged', c: 3 });
+
+  await driver.resetSettings();
+
+  t.deepEqual(server.settings, { a: 'before', b: 'unchanged', c: 3 });
+  t.deepEqual(
+    server.received
+      .filter(({ method }) => method === 'settings.getSettings')
+      .map(({ params }) => params.settings),
+    [[{ name: 'a' }], [{ name: 'c' }]]
+  );
+  t.deepEqual(driver._appliedSettings, new Map());
+});
+
+test('setting settings does not wait long for a server that never reports their values', async t => {
+  const server = new WebSocketServer({ host: 'localhost', port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  t.teardown(() => new Promise(resolve => server.close(resolve)));
+  const received = [];
+  server.on('connection', socket => {
+    socket.on('message', rawMessage => {
+      const { id, method } = JSON.parse(rawMessage.toString());
+      received.push(method);
+      if (method === 'session.new') {
+        socket.send(JSON.stringify({ id, result: { capabilities: {} } }));
+      } else if (method !== 'settings.getSettings') {
+        socket.send(JSON.stringify({ id, result: {} }));
+      }
+    });
+  });
+  const driver = await connect(t, server.address().port);
+
+  const start = Date.now();
+  await driver._send({
+    method: 'settings.setSettings',
+    params: { settings: [{ name: 'a', value: 1 }] },
+  });
+  t.true(Date.now() - start < 3000);
+
+  // The setting's value before it changed is unknown, so it is not reset.
+  await driver.resetSettings();
+  t.deepEqual(received, ['session.new', 'settings.getSettings', 'settings.setSettings']);
+});
+
+test('checking the connection passes on any answer and fails without one', async t => {
+  const server = new WebSocketServer({ host: 'localhost', port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  t.teardown(() => new Promise(resolve => server.close(resolve)));
+  let answering = true;
+  server.on('connection', socket => {
+    socket.on('message', rawMessage => {
+      const { id, method } = JSON.parse(rawMessage.toString());
+      if (method === 'session.new') {
+        socket.send(JSON.stringify({ id, result: { capabilities: {} } }));
+      } else if (answering) {
+        socket.send(JSON.stringify({ id, error: 'unknown command', message: method }));
+      }
+    });
+  });
+  const driver = await connect(t, server.address().port);
+
+  await t.notThrowsAsync(driver.checkAlive({ timeout: 1000 }));
+
+  answering = false;
+  await t.throwsAsync(driver.checkAlive({ timeout: 50 }), { code: WATCHDOG_TIMEOUT });
+});
+
+test('reconnecting gives up after the configured attempts', async t => {
+  const server = await startMockServer(t, {});
+  const driver = await connect(t, server.port, { attempts: 2, delay: 1 });
+  await server.close();
+  await driver.closed;
+
+  await t.throwsAsync(driver.reconnect(), {
+    message: 'Unable to reconnect to AT-Driver after 2 attempts',
+  });
+});
+
+test('capabilitiesMismatch', t => {
+  const nvda = { atName: 'NVDA', atVersion: '2024.1.0', platformName: 'windows' };
+  t.is(capabilitiesMismatch({}, nvda), null);
+  t.is(capabilitiesMismatch({ alwaysMatch: { atName: 'nvda', atVersion: '2024' } }, nvda), null);
+  t.is(capabilitiesMismatch({ alwaysMatch: { atVersion: '2024.1.0' } }, nvda), null);
+  t.is(
+    capabilitiesMismatch({ alwaysMatch: { atVersion: '2024.1.1' } }, nvda),
+    "capabilities: atVersion '2024.1.1' (got '2024.1.0')"
+  );
+  t.is(
+    capabilitiesMismatch(
+      {
+        alwaysMatch: { platformName: 'Windows' },
+        firstMatch: [{ atName: 'JAWS' }, { atName: 'NVDA' }],
+      },
+      nvda
+    ),
+    null
+  );
+  t.is(
+    capabilitiesMismatch(
+      { alwaysMatch: { platformName: 'macos' }, firstMatch: [{ atName: 'VoiceOver' }, {}] },
+      nvda
+    ),
+    "capabilities: platformName 'macos' (got 'windows'), atName 'VoiceOver' (got 'NVDA'); or platformName 'macos' (got 'windows')"
+  );
+});
+
+test('sessions are created with the requested capabilities', async t => {
+  const server = await startMockServer(t, {
+    capabilities: { atName: 'NVDA', atVersion: '2024.1', platformName: 'windows' },
+  });
+  const capabilities = {
+    alwaysMatch: { platformName: 'windows' },
+    firstMatch: [{ atName: 'NVDA' }],
+  };
+  const driver = await connect(t, server.port, undefined, capabilities);
+
+  t.deepEqual(server.received[0].params, { capabilities });
+  t.like(await driver.getCapabilities(), { atName: 'NVDA' });
+});
+
+test('sessions fail when the server cannot satisfy the requested capabilities', async t => {
+  const server = await startMockServer(t, {
+    capabilities: { atName: 'NVDA', atVersion: '2024.1', platformName: 'windows' },
+  });
+
+  await t.throwsAsync(
+    connect(t, server.port, undefined, { alwaysMatch: { atName: 'VoiceOver' } }),
+    {
+      message:
+        "session not created: No session satisfies the requested capabilities: atName 'VoiceOver' (got 'NVDA').",
+    }
+  );
+});
+
+test('sessions fail when the server ignores the requested capabilities', async t => {
+  const server = new WebSocketServer({ host: 'localhost', port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  t.teardown(() => new Promise(resolve => server.close(resolve)));
+  server.on('connection', socket => {
+    socket.on('message', rawMessage => {
+      const { id } = JSON.parse(rawMessage.toString());
+      socket.send(JSON.stringify({ id, result: { capabilities: { atName: 'NVDA' } } }));
+    });
+  });
+
+  await t.throwsAsync(
+    connect(t, server.address().port, undefined, { alwaysMatch: { atName: 'VoiceOver' } }),
+    {
+      message:
+        "AT-Driver session does not satisfy the requested capabilities: atName 'VoiceOver' (got 'NVDA')",
+    }
+  );
+});
+
+test('key sequences describe and resolve holds, repeats, and delays', t => {
+  const shift = ATKey.key('shift');
+  const sequence = ATKey.sequence(
+    ATKey.chord(ATKey.key('down')).times(3),
+    ATKey.delay(50),
+    ATKey.keyDown(shift),
+    ATKey.chord(ATKey.key('tab')).times(2),
+    ATKey.keyUp(shift),
+    ATKey.key('enter')
+  );
+
+  t.is(
+    sequence.toString(),
+    'down (3 times), wait 50ms, hold shift, tab (2 times), release shift, enter'
+  );
+  t.deepEqual(sequence.toAtDriverSteps(), [
+    { keys: ['\ue015'] },
+    { keys: ['\ue015'] },
+    { keys: ['\ue015'] },
+    { delay: 50 },
+    { keys: ['\ue008', '\ue004'] },
+    { keys: ['\ue008', '\ue004'] },
+    { keys: ['\ue007'] },
+  ]);
+
+  t.throws(() => ATKey.sequence(ATKey.keyDown(shift), ATKey.key('tab')).toAtDriverSteps(), {
+    message: "'shift' is held but never released",
+  });
+  t.throws(() => ATKey.sequence(ATKey.keyUp(shift)).toAtDriverSteps(), {
+    message: "Unable to release 'shift', it is not held",
+  });
+});
+
+test('sendKeys presses each resolved chord and waits for delays', async t => {
+  const server = await startMockServer(t, {});
+  const driver = await connect(t, server.port);
+
+  const start = Date.now();
+  await driver.sendKeys(
+    ATKey.keyDown(ATKey.key('shift')),
+    ATKey.chord(ATKey.key('tab')).times(2),
+    ATKey.keyUp(ATKey.key('shift')),
+    ATKey.delay(50),
+    ATKey.key('tab')
+  );
+
+  t.true(Date.now() - start >= 50);
+  t.deepEqual(
+    server.received.slice(1).map(({ params }) => params.keys),
+    [['\ue008', '\ue004'], ['\ue008', '\ue004'], ['\ue004']]
+  );
+});
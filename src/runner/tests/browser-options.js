@@ -0,0 +1,32 @@
+import test from 'ava';
+
+import { validateBrowserOptions } from '../browser-driver/browser-options.js';
+
+test('accepts browser options', t => {
+  const options = {
+    args: ['--lang=en'],
+    binary: '/usr/bin/firefox',
+    prefs: { 'reader.parse-on-load.enabled': false },
+    profile: '/tmp/profile',
+    windowSize: { width: 1280, height: 800 },
+  };
+  t.is(validateBrowserOptions(options), options);
+});
+
+test('rejects unknown or malformed browser options', t => {
+  t.throws(() => validateBrowserOptions([]), {
+    message: 'browser options must be an object of args, binary, prefs, profile, windowSize',
+  });
+  t.throws(() => validateBrowserOptions({ headless: true }), {
+    message: 'browser option "headless" must be one of args, binary, prefs, profile, windowSize',
+  });
+  t.throws(() => validateBrowserOptions({ args: '--lang=en' }), {
+    message: 'browser option "args" must be an array of strings',
+  });
+  t.throws(() => validateBrowserOptions({ binary: 1 }), {
+    message: 'browser option "binary" must be a path',
+  });
+  t.throws(() => validateBrowserOptions({ windowSize: { width: '1280px', height: 800 } }), {
+    message: 'browser option "windowSize" must be an object of integer width and height',
+  });
+});
@@ -0,0 +1,1092 @@
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+import test from 'ava';
+
+import { ATKey, AT_DRIVER_CONNECTION_LOST, createATDriver } from '../at-driver.js';
+import { DriverTestRunner } from '../driver-test-runner.js';
+import { MockATDriverServer } from '../mock-at-driver-server.js';
+import { SettingsProfile, SettingsProfiles } from '../settings-profile.js';
+import { ATAdapters } from '../at-adapter.js';
+
+const timesOption = {
+  afterNav: 50,
+  afterKeys: 100,
+  testSetup: 10,
+  modeSwitch: 50,
+  docReady: 10,
+  speechIdle: 50,
+  speechMin: 0,
+};
+
+const baseUrl = new URL('http://localhost:8888/static');
+
+/** @type {AriaATCIData.CollectedTest} */
+const collectedTest = {
+  info: { testId: 1, title: 'Navigate to a button', task: 'navigate', references: [] },
+  instructions: { user: [], raw: '' },
+  target: {
+    at: { key: 'nvda', raw: 'NVDA', name: 'NVDA' },
+    mode: 'reading',
+    referencePage: 'reference/button.html',
+  },
+  commands: [
+    {
+      id: 'DOWN',
+      keystroke: 'down arrow',
+      keypresses: [{ id: 'DOWN', keystroke: 'down arrow' }],
+      settings: 'browseMode',
+    },
+    {
+      id: 'TAB',
+      keystroke: 'tab',
+      keypresses: [{ id: 'TAB', keystroke: 'tab' }],
+    },
+  ],
+  assertions: [{ priority: 1, assertionStatement: 'Role button is conveyed' }],
+};
+
+/** @type {AriaATCIRunner.MockATDriverScript} */
+const script = {
+  capabilities: { atName: 'NVDA', atVersion: '2024.1', platformName: 'windows' },
+  speechDelay: 5,
+  responses: [
+    { keys: 'insert+space', speech: 'Focus mode' },
+    { keys: 'insert+space', speech: 'Browse mode' },
+    { keys: 'down', page: 'button.html', speech: ['Submit', 'button'] },
+    { keys: 'down', speech: 'blank' },
+    { keys: 'tab', page: 'button.html', speech: 'Submit button' },
+  ],
+  navigation: [{ page: 'button.html', speech: 'Button example, document' }],
+};
+
+/**
+ * @param {MockATDriverServer} server
+ * @returns {AriaATCIRunner.BrowserDriver}
+ */
+function createFakeBrowserDriver(server) {
+  return {
+    async navigate(url) {
+      server.setPage(url);
+    },
+    async documentReady() {},
+    async clickWhenPresent(selector) {
+      throw new Error(`'${selector}' not found`);
+    },
+    async getCapabilities() {
+      return { browserName: 'fake', browserVersion: '1.0' };
+    },
+    async quit() {},
+  };
+}
+
+async function startRunner(
+  t,
+  {
+    script: runnerScript = script,
+    reconnect = undefined,
+    atAdapters = undefined,
+    times = {},
+    retryPolicy = undefined,
+    screenshot = undefined,
+    activeElement = undefined,
+    runSetupScript = undefined,
+    artifactsDir = undefined,
+    callTimeout = undefined,
+  } = {}
+) {
+  const server = new MockATDriverServer({ script: runnerScript });
+  await server.ready;
+  /** @type {function(): void} */
+  let stop;
+  const abortSignal = new Promise(resolve => (stop = () => resolve()));
+  t.teardown(async () => {
+    stop();
+    await server.close();
+  });
+
+  const logs = [];
+  const log = (type, more) => logs.push({ type, ...more });
+  const atDriver = await createATDriver({
+    url: { hostname: 'localhost', port: server.port, pathname: '/session' },
+    abortSignal,
+    log,
+    reconnect,
+  });
+  const runner = new DriverTestRunner({
+    baseUrl,
+    log,
+    browserDriver: {
+      ...createFakeBrowserDriver(server),
+      ...(screenshot ? { screenshot } : {}),
+      ...(activeElement ? { activeElement } : {}),
+      ...(runSetupScript ? { runSetupScript } : {}),
+    },
+    atDriver,
+    timesOption: { ...timesOption, ...times },
+    atAdapters,
+    retryPolicy,
+    callTimeout,
+    artifactsDir,
+  });
+  return { server, runner, logs };
+}
+
+test('runs a test against a mock AT-Driver server', async t => {
+  const { server, runner } = await startRunner(t);
+
+  const result = await runner.run(collectedTest);
+
+  t.deepEqual(result.capabilities, {
+    atName: 'NVDA',
+    atVersion: '2024.1',
+    browserName: 'fake',
+    browserVersion: '1.0',
+    platformName: 'windows',
+  });
+  t.deepEqual(
+    result.commands.map(({ command, response }) => ({ command, response })),
+    [
+      { command: 'DOWN', response: 'Submit\nbutton' },
+      { command: 'TAB', response: 'Submit button' },
+    ]
+  );
+  t.deepEqual(
+    server.received.map(({ method }) => method),
+    [
+      'session.new',
+      // the value to restore before the runner is reused
+      'nvda:settings.getSettings',
+      // browseMode for DOWN, toggled from the scripted focus mode
+      'nvda:settings.setSettings',
+      'interaction.pressKeys',
+      'interaction.pressKeys',
+      'nvda:settings.setSettings',
+      'interaction.pressKeys',
+      // reading mode for TAB
+      'nvda:settings.setSettings',
+      'interaction.pressKeys',
+      'interaction.pressKeys',
+      'nvda:settings.setSettings',
+      'interaction.pressKeys',
+    ]
+  );
+  t.is(server.settings['virtualBuffers.passThroughAudioIndication'], true);
+});
+
+test('reuses its sessions for another plan after restoring the AT settings', async t => {
+  const { server, runner } = await startRunner(t);
+  server.settings = { 'virtualBuffers.passThroughAudioIndication': false };
+  await runner.run(collectedTest);
+  t.true(server.settings['virtualBuffers.passThroughAudioIndication']);
+
+  const nextBaseUrl = new URL('http://localhost/next-plan/');
+  await runner.reuse({ baseUrl: nextBaseUrl });
+
+  t.false(server.settings['virtualBuffers.passThroughAudioIndication']);
+  t.is(server.page, 'about:blank');
+  t.is(runner.baseUrl, nextBaseUrl);
+  const result = await runner.run(collectedTest);
+  t.deepEqual(
+    result.commands.map(({ response }) => response),
+    ['Submit\nbutton', 'Submit button']
+  );
+});
+
+test('refuses to reuse a closed AT-Driver session', async t => {
+  const { server, runner } = await startRunner(t);
+
+  server.disconnect();
+  await runner.atDriver.closed;
+
+  await t.throwsAsync(runner.reuse({ baseUrl }), { message: 'The AT-Driver connection closed' });
+});
+
+test('refuses to reuse an AT-Driver session that stops answering', async t => {
+  const { runner } = await startRunner(t);
+  await runner.run(collectedTest);
+
+  // Messages still reach the server, but no answer is read.
+  runner.atDriver.socket.pause();
+
+  const start = Date.now();
+  await t.throwsAsync(runner.reuse({ baseUrl }), {
+    message: /^The call deadline of 5000ms passed during AT-Driver settings\.getSettings$/,
+  });
+  t.true(Date.now() - start < 10000);
+});
+
+test('refuses to reuse a browser session that stops answering', async t => {
+  const { runner } = await startRunner(t, { callTimeout: 100 });
+  await runner.run(collectedTest);
+
+  runner.browserDriver.navigate = () => new Promise(() => {});
+
+  await t.throwsAsync(runner.reuse({ baseUrl }), {
+    message: 'The call deadline of 100ms passed during browser navigate',
+  });
+});
+
+test('reports settings that the AT never confirms', async t => {
+  const { runner } = await startRunner(t, {
+    script: {
+      ...script,
+      responses: script.responses.filter(({ keys }) => keys !== 'insert+space'),
+    },
+  });
+
+  await t.throwsAsync(runner.run(collectedTest), {
+    message: 'Unable to apply setting. Expected: "Browse mode" Got: ""',
+  });
+});
+
+test('recovers from a lost AT-Driver connection by running the test again', async t => {
+  const { server, runner, logs } = await startRunner(t, {
+    script: {
+      ...script,
+      responses: [{ keys: 'tab', page: 'button.html', disconnect: true }, ...script.responses],
+    },
+    reconnect: { attempts: 1, delay: 1 },
+  });
+
+  const result = await runner.run(collectedTest);
+
+  t.deepEqual(
+    result.commands.map(({ response }) => response),
+    ['Submit\nbutton', 'Submit button']
+  );
+  t.is(result.recoveries.length, 1);
+  t.like(result.recoveries[0], {
+    error: "AT-Driver connection closed while waiting for a response to 'interaction.pressKeys'",
+    attempt: 1,
+  });
+  t.is(logs.filter(({ type }) => type === 'atDriverRecovery').length, 1);
+  t.is(server.received.filter(({ method }) => method === 'session.new').length, 2);
+});
+
+test('lost AT-Driver connections fail the test without reconnect attempts', async t => {
+  const { runner } = await startRunner(t, {
+    script: {
+      ...script,
+      responses: [{ keys: 'tab', page: 'button.html', disconnect: true }, ...script.responses],
+    },
+  });
+
+  await t.throwsAsync(runner.run(collectedTest), { code: AT_DRIVER_CONNECTION_LOST });
+});
+
+test('applies settings from a loaded settings profile', async t => {
+  const { server, runner } = await startRunner(t, {
+    atAdapters: ATAdapters.fromSettingsProfiles(
+      new SettingsProfiles([
+        new SettingsProfile({
+          atName: 'NVDA',
+          settings: {
+            verbosityAll: {
+              command: {
+                method: 'nvda:settings.setSettings',
+                params: { settings: [{ name: 'speech.symbolLevel', value: 300 }] },
+              },
+            },
+          },
+        }),
+      ])
+    ),
+  });
+
+  await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [{ ...collectedTest.commands[1], settings: 'verbosityAll' }],
+  });
+
+  t.is(server.settings['speech.symbolLevel'], 300);
+});
+
+test('reports settings missing from the settings profile', async t => {
+  const { runner } = await startRunner(t);
+
+  await t.throwsAsync(
+    runner.run({
+      ...collectedTest,
+      commands: [{ ...collectedTest.commands[1], settings: 'browseMode verbosityAll' }],
+    }),
+    { message: /^Unknown setting "verbosityAll" in the NVDA settings profile \(.*nvda\.json\)$/ }
+  );
+});
+
+test('drives other ATs through adapters loaded from a module', async t => {
+  const adapterPath = new URL('./fixtures/jaws-adapter.js', import.meta.url).pathname;
+  const { default: adapter } = await import('./fixtures/jaws-adapter.js');
+  const { runner } = await startRunner(t, {
+    script: {
+      capabilities: { atName: 'JAWS', atVersion: '2024', platformName: 'windows' },
+      speechDelay: 5,
+      responses: [
+        { keys: 'insert+z', speech: 'virtual PC cursor on' },
+        { keys: 'tab', speech: '  Submit   button ' },
+      ],
+    },
+    atAdapters: await ATAdapters.load({ modulePaths: [adapterPath] }),
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, at: { key: 'jaws', raw: 'JAWS', name: 'JAWS' } },
+    commands: [collectedTest.commands[1]],
+  });
+
+  t.deepEqual(adapter.calls, ['reset', 'mode reading']);
+  t.is(result.commands[0].response, 'Submit button');
+});
+
+test('reports ATs without an adapter', async t => {
+  const { runner } = await startRunner(t, {
+    script: { capabilities: { atName: 'Orca', atVersion: '46', platformName: 'linux' } },
+  });
+
+  await t.throwsAsync(runner.run(collectedTest), {
+    message: 'Unable to ensure proper settings. No AT adapter for atName Orca',
+  });
+});
+
+/**
+ * @param {DriverTestRunner} runner
+ * @param {number} maxWait
+ */
+async function collectTabSpeech(runner, maxWait) {
+  runner._speechCollections = [];
+  const spoken = await runner._collectSpeech({ phase: 'command', maxWait }, () =>
+    runner.sendKeys(ATKey.sequence(ATKey.key('tab')))
+  );
+  return { spoken, collection: runner._speechCollections[0] };
+}
+
+test('finishes collecting speech once the AT goes quiet', async t => {
+  const { server, runner } = await startRunner(t, {
+    times: { afterNav: 100, afterKeys: 5000, modeSwitch: 5000 },
+  });
+  server.page = 'reference/button.html';
+
+  const { spoken, collection } = await collectTabSpeech(runner, 5000);
+
+  t.deepEqual(spoken, ['Submit button']);
+  t.like(collection, { phase: 'command', utterances: 1, reason: 'idle' });
+  t.true(collection.duration < 1000);
+
+  const result = await runner.run(collectedTest);
+  // Only the silent navigations back to a blank page wait for the longest time.
+  t.is(result.speechCollection.reasons.max, 2);
+  t.true(result.speechCollection.totalDuration < 5000);
+});
+
+test('finishes collecting speech when the AT-Driver server reports speech ended', async t => {
+  const { server, runner } = await startRunner(t, {
+    script: { ...script, speechEnded: true },
+    times: { speechIdle: 2000 },
+  });
+  server.page = 'reference/button.html';
+
+  const { spoken, collection } = await collectTabSpeech(runner, 5000);
+
+  t.deepEqual(spoken, ['Submit button']);
+  t.like(collection, { reason: 'ended' });
+  t.true(collection.duration < 1000);
+});
+
+test('waits for speech that starts later than the idle time', async t => {
+  const { server, runner } = await startRunner(t, {
+    script: { ...script, speechDelay: 100 },
+    times: { speechIdle: 20 },
+  });
+  server.page = 'reference/button.html';
+
+  const { spoken, collection } = await collectTabSpeech(runner, 5000);
+
+  t.deepEqual(spoken, ['Submit button']);
+  t.like(collection, { utterances: 1, reason: 'idle' });
+  t.true(collection.duration >= 100);
+  t.true(collection.duration < 1000);
+});
+
+test('a silent command waits its longest time on every attempt', async t => {
+  const { runner } = await startRunner(t, {
+    script: { ...script, responses: [{ keys: 'end', speech: [] }] },
+    times: { afterNav: 50, afterKeys: 300 },
+    retryPolicy: { attempts: 2, triggers: ['empty'], backoff: 1 },
+  });
+
+  const start = Date.now();
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [{ id: 'END', keystroke: 'End', keypresses: [{ id: 'END', keystroke: 'End' }] }],
+  });
+  const duration = Date.now() - start;
+
+  t.is(result.commands[0].attempts.length, 2);
+  // Each attempt opens the page, presses End, and goes back to a blank page,
+  // and none of those finishes before its longest time.
+  t.deepEqual(result.speechCollection.reasons, { idle: 0, ended: 0, max: 6 });
+  t.true(result.speechCollection.maxDuration >= 300);
+  t.true(duration >= 2 * 300 + 2 * 50);
+  t.true(duration < 2 * (300 + 2 * 50) + 1000);
+});
+
+test('collects speech for at least the minimum and at most the maximum wait', async t => {
+  const { server, runner } = await startRunner(t, { times: { speechIdle: 1, speechMin: 100 } });
+  server.page = 'reference/button.html';
+
+  const quick = await collectTabSpeech(runner, 5000);
+  t.like(quick.collection, { utterances: 1, reason: 'idle' });
+  t.true(quick.collection.duration >= 100);
+
+  server.page = 'about:blank';
+  const silent = await collectTabSpeech(runner, 150);
+  t.like(silent.collection, { utterances: 0, reason: 'max' });
+  t.true(silent.collection.duration >= 150);
+
+  server.page = 'reference/button.html';
+  runner.timesOption = { ...runner.timesOption, speechIdle: 2000, speechMin: 0 };
+  const capped = await collectTabSpeech(runner, 50);
+  t.like(capped.collection, { utterances: 1, reason: 'max' });
+  t.true(capped.collection.duration < 1000);
+});
+
+test('records when each utterance arrived and what caused it', async t => {
+  const { runner } = await startRunner(t);
+
+  const result = await runner.run(collectedTest);
+
+  const [down, tab] = result.commands;
+  t.deepEqual(
+    down.utterances.map(({ text, phase }) => ({ text, phase })),
+    [
+      { text: 'Button example, document', phase: 'navigation' },
+      { text: 'Focus mode', phase: 'settings' },
+      { text: 'Browse mode', phase: 'settings' },
+      { text: 'Submit', phase: 'command' },
+      { text: 'button', phase: 'command' },
+    ]
+  );
+  for (const { phase, offset } of down.utterances) {
+    t.true(phase === 'command' ? offset >= 0 : offset < 0);
+  }
+  t.deepEqual(
+    tab.utterances.filter(({ phase }) => phase === 'command').map(({ text }) => text),
+    ['Submit button']
+  );
+});
+
+test('commands can hold, release, repeat, and delay keypresses', async t => {
+  const { server, runner } = await startRunner(t, {
+    script: {
+      ...script,
+      responses: [...script.responses, { keys: 'shift+tab', speech: 'Back' }],
+    },
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    commands: [
+      {
+        id: 'SHIFT_TAB_TWICE',
+        keystroke: 'hold Shift while pressing Tab twice',
+        keypresses: [
+          { id: 'SHIFT', keystroke: 'hold Shift', action: 'keyDown' },
+          { id: 'TAB', keystroke: 'Tab twice', repeat: 2, delay: 10 },
+          { id: 'SHIFT', keystroke: 'release Shift', action: 'keyUp' },
+        ],
+      },
+      {
+        id: 'UNRELEASED',
+        keystroke: 'hold Shift',
+        keypresses: [{ id: 'SHIFT', keystroke: 'hold Shift', action: 'keyDown' }],
+      },
+      {
+        id: 'BAD_REPEAT',
+        keystroke: 'Tab',
+        keypresses: [{ id: 'TAB', keystroke: 'Tab', repeat: 0 }],
+      },
+    ],
+  });
+
+  t.is(result.commands[0].response, 'Back\nBack');
+  t.deepEqual(
+    server.received
+      .filter(({ method }) => method === 'interaction.pressKeys')
+      .slice(-2)
+      .map(({ params }) => params.keys),
+    [
+      ['\ue008', '\ue004'],
+      ['\ue008', '\ue004'],
+    ]
+  );
+  t.deepEqual(result.commands[1].errors, ["'shift' is held but never released."]);
+  t.deepEqual(result.commands[2].errors, ["'TAB' repeat must be a positive integer."]);
+});
+
+test('expands key aliases for the AT and platform of the session', async t => {
+  const { server, runner, logs } = await startRunner(t, {
+    script: {
+      ...script,
+      capabilities: { atName: 'VoiceOver', atVersion: '14', platformName: 'macOS' },
+      responses: [],
+    },
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [
+      {
+        id: 'VO_END',
+        keystroke: 'VO+End',
+        keypresses: [{ id: 'VO+END', keystroke: 'VO+End' }],
+      },
+      {
+        id: 'MOD_HOME',
+        keystroke: 'Command+Home',
+        keypresses: [{ id: 'MOD_HOME', keystroke: 'Command+Home' }],
+      },
+      {
+        id: 'NVDA_DOWN',
+        keystroke: 'NVDA+Down Arrow',
+        keypresses: [{ id: 'NVDA_MOD+DOWN', keystroke: 'NVDA+Down Arrow' }],
+      },
+    ],
+  });
+
+  t.deepEqual(
+    server.received
+      .filter(({ method }) => method === 'interaction.pressKeys')
+      .map(({ params }) => params.keys),
+    [
+      ['\ue009', '\ue00a', '\ue010'],
+      ['\ue03d', '\ue011'],
+    ]
+  );
+  t.deepEqual(result.commands[0].keys, {
+    input: ['VO+END'],
+    expanded: ['CONTROL+OPTION+END'],
+  });
+  t.deepEqual(result.commands[1].keys, { input: ['MOD_HOME'], expanded: ['COMMAND_HOME'] });
+  // VoiceOver has no NVDA_MOD, and the MOD after its '_' is left as written.
+  t.is(result.commands[2].keys, undefined);
+  t.true(result.commands[2].errors.some(error => error.includes("'NVDA'")));
+  t.true(result.commands[2].errors.some(error => error.includes("'MOD'")));
+  t.deepEqual(
+    logs.filter(({ type }) => type === 'keyAliasesExpanded').map(({ command }) => command),
+    ['VO_END', 'MOD_HOME']
+  );
+});
+
+test('retries commands whose response is empty or repeats the navigation speech', async t => {
+  const { runner, logs } = await startRunner(t, {
+    script: {
+      ...script,
+      responses: [
+        { keys: 'end', speech: [] },
+        { keys: 'end', speech: 'Bottom' },
+        { keys: 'home', speech: 'Button example, document' },
+      ],
+    },
+    retryPolicy: { attempts: 2, triggers: ['empty', 'navigation'], backoff: 1 },
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [
+      { id: 'END', keystroke: 'End', keypresses: [{ id: 'END', keystroke: 'End' }] },
+      { id: 'HOME', keystroke: 'Home', keypresses: [{ id: 'HOME', keystroke: 'Home' }] },
+    ],
+  });
+
+  t.is(result.commands[0].response, 'Bottom');
+  t.deepEqual(
+    result.commands[0].attempts.map(({ attempt, response, trigger, counted }) => ({
+      attempt,
+      response,
+      trigger,
+      counted,
+    })),
+    [
+      { attempt: 1, response: '', trigger: 'empty', counted: false },
+      { attempt: 2, response: 'Bottom', trigger: undefined, counted: true },
+    ]
+  );
+  t.is(result.commands[1].response, 'Button example, document');
+  t.deepEqual(
+    result.commands[1].attempts.map(({ trigger, counted }) => ({ trigger, counted })),
+    [
+      { trigger: 'navigation', counted: false },
+      { trigger: 'navigation', counted: true },
+    ]
+  );
+  t.deepEqual(
+    logs
+      .filter(({ type }) => type === 'commandRetry')
+      .map(({ command, attempt, trigger }) => ({ command, attempt, trigger })),
+    [
+      { command: 'END', attempt: 2, trigger: 'empty' },
+      { command: 'HOME', attempt: 2, trigger: 'navigation' },
+    ]
+  );
+});
+
+test('reports every attempt when the last one fails', async t => {
+  const { runner } = await startRunner(t, {
+    script: { ...script, responses: [{ keys: 'end', speech: [] }] },
+    retryPolicy: { attempts: 3, triggers: ['empty'], backoff: 1 },
+  });
+  let opened = 0;
+  const { navigate } = runner.browserDriver;
+  runner.browserDriver.navigate = async url => {
+    if (url.endsWith('button.html') && ++opened === 2) {
+      throw new Error('The browser window closed');
+    }
+    await navigate(url);
+  };
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [{ id: 'END', keystroke: 'End', keypresses: [{ id: 'END', keystroke: 'End' }] }],
+  });
+
+  t.deepEqual(result.commands[0].errors, ['The browser window closed']);
+  t.deepEqual(
+    result.commands[0].attempts.map(({ attempt, response, error, trigger, counted }) => ({
+      attempt,
+      response,
+      error,
+      trigger,
+      counted,
+    })),
+    [
+      { attempt: 1, response: '', error: undefined, trigger: 'empty', counted: false },
+      {
+        attempt: 2,
+        response: undefined,
+        error: 'The browser window closed',
+        trigger: undefined,
+        counted: true,
+      },
+    ]
+  );
+});
+
+test('lists the attempts a lost AT-Driver connection ended with its recovery', async t => {
+  const { runner } = await startRunner(t, {
+    script: {
+      ...script,
+      responses: [
+        { keys: 'end', speech: [] },
+        { keys: 'end', disconnect: true },
+        { keys: 'end', speech: 'Bottom' },
+      ],
+    },
+    reconnect: { attempts: 1, delay: 1 },
+    retryPolicy: { attempts: 2, triggers: ['empty'], backoff: 1 },
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [{ id: 'END', keystroke: 'End', keypresses: [{ id: 'END', keystroke: 'End' }] }],
+  });
+
+  t.is(result.commands[0].response, 'Bottom');
+  t.is(result.recoveries[0].command, 'END');
+  t.deepEqual(
+    result.recoveries[0].attempts.map(({ attempt, trigger, counted }) => ({
+      attempt,
+      trigger,
+      counted,
+    })),
+    [
+      { attempt: 1, trigger: 'empty', counted: false },
+      { attempt: 2, trigger: undefined, counted: true },
+    ]
+  );
+});
+
+test('does not retry without a retry policy', async t => {
+  const { runner } = await startRunner(t, {
+    script: { ...script, responses: [{ keys: 'end', speech: [] }] },
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [{ id: 'END', keystroke: 'End', keypresses: [{ id: 'END', keystroke: 'End' }] }],
+  });
+
+  t.is(result.commands[0].response, '');
+  t.is(result.commands[0].attempts, undefined);
+});
+
+test('test and command timing replace the times of the run', async t => {
+  const { runner } = await startRunner(t, { times: { speechIdle: 10000 } });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    timing: { afterNav: 20, afterKeys: 40 },
+    commands: [
+      {
+        id: 'TAB',
+        keystroke: 'tab',
+        keypresses: [{ id: 'TAB', keystroke: 'tab' }],
+        timing: { afterKeys: 150 },
+      },
+      {
+        id: 'DOWN',
+        keystroke: 'down arrow',
+        keypresses: [{ id: 'DOWN', keystroke: 'down arrow' }],
+      },
+      {
+        id: 'END',
+        keystroke: 'end',
+        keypresses: [{ id: 'END', keystroke: 'end' }],
+        // @ts-expect-error timing hints are numbers of milliseconds
+        timing: { afterKeys: 'long', docReady: 10 },
+      },
+    ],
+  });
+
+  t.deepEqual(result.commands[0].timing, { afterNav: 20, afterKeys: 150, modeSwitch: 50 });
+  t.deepEqual(result.commands[1].timing, { afterNav: 20, afterKeys: 40, modeSwitch: 50 });
+  // Collection never idles, so every collection lasts as long as its timing
+  // allows.
+  t.true(result.speechCollection.maxDuration >= 150);
+  t.true(result.speechCollection.maxDuration < 1000);
+  t.deepEqual(result.commands[2].errors, [
+    "The command timing 'afterKeys' must be a non-negative number of milliseconds.",
+    "The command timing 'docReady' must be one of afterNav, afterKeys, modeSwitch.",
+  ]);
+});
+
+test("resetting the AT uses the test's timing, not the last command's", async t => {
+  const { runner, logs } = await startRunner(t, {
+    script: {
+      ...script,
+      // The reset key is answered only on every other press, so the first
+      // press of each reset waits the whole modeSwitch time.
+      responses: [
+        { keys: 'insert+q', speech: [] },
+        { keys: 'insert+q', speech: 'Reset' },
+        { keys: 'tab', speech: 'Submit button' },
+      ],
+    },
+    atAdapters: new ATAdapters([
+      {
+        atName: 'NVDA',
+        async reset(context) {
+          await context.toggleSetting(context.parseKeys('insert+q'), 'Reset');
+        },
+        async ensureSettings() {},
+        async ensureMode() {},
+      },
+    ]),
+  });
+  const tab = collectedTest.commands[1];
+
+  await runner.run({
+    ...collectedTest,
+    commands: [{ ...tab, timing: { modeSwitch: 600 } }],
+  });
+  await runner.run({ ...collectedTest, commands: [tab] });
+
+  const resets = logs.filter(
+    ({ type, phase, utterances }) =>
+      type === 'speechCollected' && phase === 'settings' && utterances === 0
+  );
+  t.is(resets.length, 2);
+  for (const { duration } of resets) {
+    t.true(duration < 600, `reset waited ${duration}ms`);
+  }
+});
+
+test('runs each alternative of an "or" keystroke under the original command id', async t => {
+  const { runner } = await startRunner(t, {
+    script: {
+      ...script,
+      responses: [
+        ...script.responses,
+        { keys: 'tab', speech: 'Next' },
+        { keys: 'shift+tab', speech: 'Previous' },
+      ],
+    },
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, mode: undefined },
+    commands: [
+      {
+        id: 'DOWN_THEN_TAB',
+        keystroke: 'Down Arrow followed by Tab',
+        keypresses: [{ id: 'DOWN_ARROW followed by TAB', keystroke: 'Down Arrow followed by Tab' }],
+      },
+      {
+        id: 'TAB_OR_SHIFT_TAB',
+        keystroke: 'Tab or Shift+Tab',
+        keypresses: [{ id: 'TAB or SHIFT+TAB', keystroke: 'Tab or Shift+Tab' }],
+      },
+      {
+        id: 'AMBIGUOUS',
+        keystroke: 'a or b followed by c',
+        keypresses: [{ id: 'a or b followed by c', keystroke: 'a or b followed by c' }],
+      },
+    ],
+  });
+
+  t.deepEqual(
+    result.commands.map(({ command, alternative, response, errors }) => ({
+      command,
+      alternative,
+      // speech for both chords may interleave
+      response: response?.split('\n').sort(),
+      errors,
+    })),
+    [
+      {
+        command: 'DOWN_THEN_TAB',
+        alternative: undefined,
+        response: ['Submit', 'Submit button', 'button'],
+        errors: undefined,
+      },
+      {
+        command: 'TAB_OR_SHIFT_TAB',
+        alternative: 'tab',
+        response: ['Submit button'],
+        errors: undefined,
+      },
+      {
+        command: 'TAB_OR_SHIFT_TAB',
+        alternative: 'shift + tab',
+        response: ['Previous'],
+        errors: undefined,
+      },
+      {
+        command: 'AMBIGUOUS',
+        alternative: undefined,
+        response: undefined,
+        errors: [
+          "Unable to parse 'a or b followed by c' at character 8: 'or' and 'followed by' are mixed, use parentheses to group them.",
+        ],
+      },
+    ]
+  );
+});
+
+test('writes screenshots after setup and after each command to the artifacts directory', async t => {
+  const artifactsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aria-at-artifacts-'));
+  t.teardown(() => fs.rm(artifactsDir, { recursive: true, force: true }));
+  let screenshots = 0;
+  const { runner, logs } = await startRunner(t, {
+    artifactsDir,
+    async screenshot() {
+      screenshots += 1;
+      if (screenshots === 1) {
+        throw new Error('the window is minimized');
+      }
+      return Buffer.from(`screenshot ${screenshots}`).toString('base64');
+    },
+  });
+
+  const result = await runner.run(collectedTest);
+
+  t.deepEqual(
+    result.commands.map(({ artifacts }) => artifacts),
+    [
+      [{ type: 'screenshot', phase: 'command', path: 'static/test-1/02-DOWN-command.png' }],
+      [
+        { type: 'screenshot', phase: 'setup', path: 'static/test-1/03-TAB-setup.png' },
+        { type: 'screenshot', phase: 'command', path: 'static/test-1/04-TAB-command.png' },
+      ],
+    ]
+  );
+  t.is(
+    await fs.readFile(path.join(artifactsDir, 'static/test-1/04-TAB-command.png'), 'utf8'),
+    'screenshot 4'
+  );
+
+  // The same test in the next plan does not overwrite the last plan's
+  // screenshots.
+  await runner.reuse({ baseUrl: new URL('http://localhost:8888/a1b2c3') });
+  const next = await runner.run(collectedTest);
+  t.is(next.commands[0].artifacts[0].path, 'a1b2c3/test-1/01-DOWN-setup.png');
+  t.is(
+    await fs.readFile(path.join(artifactsDir, 'static/test-1/04-TAB-command.png'), 'utf8'),
+    'screenshot 4'
+  );
+  t.deepEqual(
+    logs.filter(({ type }) => type === 'screenshotFailed'),
+    [
+      {
+        type: 'screenshotFailed',
+        command: 'DOWN',
+        phase: 'setup',
+        error: 'the window is minimized',
+      },
+    ]
+  );
+});
+
+test('takes no screenshots without an artifacts directory or driver support', async t => {
+  const { runner } = await startRunner(t, { artifactsDir: os.tmpdir() });
+
+  const result = await runner.run(collectedTest);
+
+  t.false(result.commands.some(command => 'artifacts' in command));
+});
+
+test('records the focused element before and after each command', async t => {
+  const button = {
+    tagName: 'button',
+    id: 'submit',
+    role: null,
+    name: {
+      ariaLabel: null,
+      ariaLabelledby: null,
+      labelledbyText: null,
+      title: null,
+      text: 'Submit',
+    },
+    states: { 'aria-pressed': 'false' },
+  };
+  const snapshots = [
+    null,
+    button,
+    new Error('no such window'),
+    { ...button, states: { 'aria-pressed': 'true' } },
+  ];
+  const { runner, logs } = await startRunner(t, {
+    async activeElement() {
+      const snapshot = snapshots.shift();
+      if (snapshot instanceof Error) {
+        throw snapshot;
+      }
+      return snapshot;
+    },
+  });
+
+  const result = await runner.run(collectedTest);
+
+  t.deepEqual(
+    result.commands.map(({ activeElement }) => activeElement),
+    [
+      { before: null, after: button },
+      { before: null, after: { ...button, states: { 'aria-pressed': 'true' } } },
+    ]
+  );
+  t.deepEqual(
+    logs.filter(({ type }) => type === 'activeElementFailed'),
+    [{ type: 'activeElementFailed', command: 'TAB', phase: 'setup', error: 'no such window' }]
+  );
+});
+
+const setupScript = {
+  name: 'setFocusBeforeButton',
+  description: 'sets focus on a link before the button',
+  source: "testPageDocument.querySelector('#beforelink').focus();",
+  modulePath: 'scripts/setFocusBeforeButton.module.js',
+  jsonpPath: 'scripts/setFocusBeforeButton.jsonp.js',
+};
+
+test('runs the setup script directly when the browser driver can', async t => {
+  const sources = [];
+  const { runner, logs } = await startRunner(t, {
+    async runSetupScript(source) {
+      sources.push(source);
+    },
+  });
+
+  const result = await runner.run({
+    ...collectedTest,
+    target: { ...collectedTest.target, setupScript },
+  });
+
+  t.deepEqual(sources, [setupScript.source, setupScript.source]);
+  t.deepEqual(
+    result.commands.map(({ setup: { duration, ...setup } }) => ({
+      ...setup,
+      duration: typeof duration,
+    })),
+    [
+      { ran: true, method: 'script', script: 'setFocusBeforeButton', duration: 'number' },
+      { ran: true, method: 'script', script: 'setFocusBeforeButton', duration: 'number' },
+    ]
+  );
+  t.false(logs.some(({ type }) => type === 'noRunTestSetup'));
+});
+
+test('reports pages without setup', async t => {
+  const { runner, logs } = await startRunner(t);
+
+  const result = await runner.run(collectedTest);
+
+  t.deepEqual(result.commands[0].setup, { ran: false });
+  t.true(logs.some(({ type }) => type === 'noRunTestSetup'));
+});
+
+test('fails the commands of a test whose setup script does not run', async t => {
+  const threw =
+    "Setup script 'setFocusBeforeButton' of reference/button.html threw an exception: Cannot read properties of null (reading 'focus')";
+  const {
+    server,
+    runner: throwingRunner,
+    logs,
+  } = await startRunner(t, {
+    async runSetupScript() {
+      throw new Error("Cannot read properties of null (reading 'focus')");
+    },
+  });
+  const test = { ...collectedTest, target: { ...collectedTest.target, setupScript } };
+
+  const result = await throwingRunner.run(test);
+
+  t.deepEqual(
+    result.commands.map(({ command, setup, errors, response }) => ({
+      command,
+      setup,
+      errors,
+      response,
+    })),
+    [
+      {
+        command: 'DOWN',
+        setup: { ran: false, method: 'script', script: 'setFocusBeforeButton', error: threw },
+        errors: [threw],
+        response: undefined,
+      },
+      {
+        command: 'TAB',
+        setup: { ran: false, method: 'script', script: 'setFocusBeforeButton', error: threw },
+        errors: [threw],
+        response: undefined,
+      },
+    ]
+  );
+  t.false(server.received.some(({ method }) => method === 'interaction.pressKeys'));
+  t.deepEqual(
+    logs.filter(({ type }) => type === 'setupFailed'),
+    [
+      { type: 'setupFailed', error: threw },
+      { type: 'setupFailed', error: threw },
+    ]
+  );
+
+  const { runner: buttonRunner } = await startRunner(t);
+  const { commands } = await buttonRunner.run(test);
+  t.deepEqual(commands[0].setup, {
+    ran: false,
+    script: 'setFocusBeforeButton',
+    error:
+      "Setup script 'setFocusBeforeButton' of reference/button.html did not run: the page has no Run Test Setup button.",
+  });
+});
@@ -0,0 +1,20 @@
+/** @type {AriaATCIRunner.ATAdapter & {calls: string[]}} */
+const adapter = {
+  atName: 'JAWS',
+  calls: [],
+  async reset() {
+    adapter.calls.push('reset');
+  },
+  async ensureSettings(context, settings) {
+    adapter.calls.push(`settings ${settings.join(' ')}`);
+  },
+  async ensureMode(context, mode) {
+    adapter.calls.push(`mode ${mode}`);
+    await context.toggleSetting(context.parseKeys('insert+z'), 'virtual PC cursor on');
+  },
+  normalizeSpeech(speech) {
+    return speech.replace(/\s+/g, ' ').trim();
+  },
+};
+
+export default adapter;
@@ -0,0 +1,74 @@
+import test from 'ava';
+
+import { expandKeyAliases, keyAliasesForPlatform, resolveKeyAliases } from '../key-aliases.js';
+import { ATAdapters } from '../at-adapter.js';
+
+test('MOD is command on macOS and control elsewhere', t => {
+  t.deepEqual(resolveKeyAliases({ platformName: 'macos' }), { MOD: 'command' });
+  t.deepEqual(resolveKeyAliases({ platformName: 'Darwin' }), { MOD: 'command' });
+  t.deepEqual(resolveKeyAliases({ platformName: 'windows' }), { MOD: 'control' });
+  t.deepEqual(resolveKeyAliases({}), { MOD: 'control' });
+});
+
+test('built-in adapters add aliases for their AT', t => {
+  const adapters = ATAdapters.fromSettingsProfiles();
+
+  t.deepEqual(resolveKeyAliases({ adapter: adapters.get('NVDA'), platformName: 'windows' }), {
+    MOD: 'control',
+    NVDA_MOD: 'insert',
+    CAPS_NVDA: 'insert',
+  });
+  t.deepEqual(resolveKeyAliases({ adapter: adapters.get('VoiceOver'), platformName: 'macos' }), {
+    MOD: 'command',
+    VO: 'control+option',
+  });
+});
+
+test('aliases may be chosen per platform', t => {
+  const table = { SEARCH: { windows: 'insert', macos: 'control+option' }, HOLD: { linux: 'alt' } };
+
+  t.deepEqual(keyAliasesForPlatform(table, 'mac'), { SEARCH: 'control+option' });
+  t.deepEqual(keyAliasesForPlatform(table, 'linux'), { HOLD: 'alt' });
+});
+
+test('expandKeyAliases replaces whole key names', t => {
+  const aliases = { MOD: 'control', NVDA_MOD: 'insert', VO: 'control+option' };
+
+  t.is(expandKeyAliases('NVDA_MOD+DOWN', aliases), 'INSERT+DOWN');
+  t.is(expandKeyAliases('mod+home', aliases), 'CONTROL+home');
+  t.is(
+    expandKeyAliases('VO+RIGHT_ARROW or (MOD+END)', aliases),
+    'CONTROL+OPTION+RIGHT_ARROW or (CONTROL+END)'
+  );
+  t.is(expandKeyAliases('VOLUME+MODE', aliases), 'VOLUME+MODE');
+  t.is(expandKeyAliases('MOD+HOME', {}), 'MOD+HOME');
+});
+
+test('expandKeyAliases reads aliases joined by underscores, longest first', t => {
+  const aliases = { MOD: 'control', NVDA_MOD: 'insert', VO: 'control+option' };
+
+  t.is(expandKeyAliases('VO_RIGHT_ARROW', aliases), 'CONTROL+OPTION_RIGHT_ARROW');
+  t.is(expandKeyAliases('NVDA_MOD_DOWN', aliases), 'INSERT_DOWN');
+  t.is(expandKeyAliases('MOD_HOME', aliases), 'CONTROL_HOME');
+  t.is(expandKeyAliases('CONTROL_MODE', aliases), 'CONTROL_MODE');
+});
+
+test('expandKeyAliases expands an alias only where it starts a chord or follows a +', t => {
+  const aliases = { MOD: 'command', VO: 'control+option' };
+
+  t.is(expandKeyAliases('NVDA_MOD+DOWN', aliases), 'NVDA_MOD+DOWN');
+  t.is(expandKeyAliases('NVDA_MOD_DOWN', aliases), 'NVDA_MOD_DOWN');
+  t.is(expandKeyAliases('X_MOD_Y', aliases), 'X_MOD_Y');
+  t.is(expandKeyAliases('SHIFT+MOD_HOME', aliases), 'SHIFT+COMMAND_HOME');
+  t.is(expandKeyAliases('DOWN followed by VO_END', aliases), 'DOWN followed by CONTROL+OPTION_END');
+});
+
+test('CAPS_NVDA presses insert, since WebDriver has no caps lock key', t => {
+  const aliases = resolveKeyAliases({
+    adapter: ATAdapters.fromSettingsProfiles().get('NVDA'),
+    platformName: 'windows',
+  });
+
+  t.is(expandKeyAliases('CAPS_NVDA+SPACE', aliases), 'INSERT+SPACE');
+  t.is(expandKeyAliases('CAPS_NVDA_F7', aliases), 'INSERT_F7');
+});
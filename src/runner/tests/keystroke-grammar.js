@@ -0,0 +1,62 @@
+import test from 'ava';
+
+import { parseKeystroke } from '../keystroke-grammar.js';
+
+test('single chords', t => {
+  t.deepEqual(parseKeystroke('INSERT+SPACE'), [['INSERT+SPACE']]);
+  t.deepEqual(parseKeystroke('  page up '), [['page up']]);
+  t.deepEqual(parseKeystroke('DOOR'), [['DOOR']]);
+});
+
+test('followed by', t => {
+  t.deepEqual(parseKeystroke('CTRL+HOME followed by DOWN_ARROW'), [['CTRL+HOME', 'DOWN_ARROW']]);
+  t.deepEqual(parseKeystroke('a Followed  By b followed by c'), [['a', 'b', 'c']]);
+});
+
+test('or', t => {
+  t.deepEqual(parseKeystroke('INSERT+SPACE or CAPS_LOCK+SPACE'), [
+    ['INSERT+SPACE'],
+    ['CAPS_LOCK+SPACE'],
+  ]);
+  t.deepEqual(parseKeystroke('a/b / c'), [['a'], ['b'], ['c']]);
+});
+
+test('parentheses group or and followed by', t => {
+  t.deepEqual(parseKeystroke('(a or b) followed by c'), [
+    ['a', 'c'],
+    ['b', 'c'],
+  ]);
+  t.deepEqual(parseKeystroke('a or (b followed by c)'), [['a'], ['b', 'c']]);
+  t.deepEqual(parseKeystroke('(a / b) followed by (c or d)'), [
+    ['a', 'c'],
+    ['a', 'd'],
+    ['b', 'c'],
+    ['b', 'd'],
+  ]);
+});
+
+test('ambiguous or malformed keystrokes fail precisely', t => {
+  t.throws(() => parseKeystroke('a or b followed by c'), {
+    message:
+      "Unable to parse 'a or b followed by c' at character 8: 'or' and 'followed by' are mixed, use parentheses to group them",
+  });
+  t.throws(() => parseKeystroke('(a or b followed by c'), {
+    message:
+      "Unable to parse '(a or b followed by c' at character 9: 'or' and 'followed by' are mixed, use parentheses to group them",
+  });
+  t.throws(() => parseKeystroke('(a or b'), {
+    message: "Unable to parse '(a or b' at character 8: expected ')'",
+  });
+  t.throws(() => parseKeystroke('a or'), {
+    message: "Unable to parse 'a or' at character 5: expected a key",
+  });
+  t.throws(() => parseKeystroke('a (b)'), {
+    message: "Unable to parse 'a (b)' at character 3: expected 'or' or 'followed by' before '('",
+  });
+  t.throws(() => parseKeystroke('a)'), {
+    message: "Unable to parse 'a)' at character 2: unexpected ')'",
+  });
+  t.throws(() => parseKeystroke('followed by a'), {
+    message: "Unable to parse 'followed by a' at character 1: expected a key before 'followed by'",
+  });
+});
@@ -0,0 +1,260 @@
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+
+import test from 'ava';
+
+import { HostServer } from '../../host/server.js';
+import { createATDriver } from '../at-driver.js';
+import { createBrowserDriver } from '../browser-driver/create.js';
+import { DriverTestRunner } from '../driver-test-runner.js';
+import { MockATDriverServer } from '../mock-at-driver-server.js';
+import { MockWebDriverServer } from '../mock-web-driver-server.js';
+
+const timesOption = {
+  afterNav: 50,
+  afterKeys: 100,
+  testSetup: 50,
+  modeSwitch: 50,
+  docReady: 10,
+  speechIdle: 20,
+  speechMin: 0,
+};
+
+const textEncoder = new TextEncoder();
+
+const files = [
+  {
+    name: 'reference/button.html',
+    bufferData: textEncoder.encode(`<!DOCTYPE html>
+<html>
+  <body>
+    <!-- <button class="button-run-test-setup">Commented out</button> -->
+    <button type="button" class="button-run-test-setup">Run Test Setup</button>
+    <div id="ex1"><button class='submit'>Submit</button></div>
+  </body>
+</html>
+`),
+  },
+  {
+    name: 'reference/no-setup.html',
+    bufferData: textEncoder.encode('<!DOCTYPE html><html><body>Example</body></html>'),
+  },
+];
+
+/**
+ * Start a HostServer serving `files`, a MockWebDriverServer, and a browser
+ * driver created the way the runner creates one.
+ *
+ * @param {*} t
+ * @param {object} [options]
+ * @param {MockATDriverServer} [options.atDriverServer]
+ * @param {AriaATCIRunner.Browser} [options.browser]
+ * @param {Object<string, *>} [options.capabilities]
+ * @param {AriaATCIRunner.BrowserOptions} [options.browserOptions]
+ */
+async function startBrowserDriver(
+  t,
+  { atDriverServer, browser = 'firefox', capabilities, browserOptions } = {}
+) {
+  const hostServer = new HostServer({ log: () => {} });
+  const webDriverServer = new MockWebDriverServer({ atDriverServer });
+  await Promise.all([hostServer.ready, webDriverServer.ready]);
+  const directory = hostServer.addFiles(files);
+
+  /** @type {function(): void} */
+  let stop;
+  const abortSignal = new Promise(resolve => (stop = () => resolve()));
+  const browserDriver = await createBrowserDriver({
+    url: webDriverServer.url,
+    browser,
+    capabilities,
+    browserOptions,
+    abortSignal,
+    timesOption,
+  });
+  t.teardown(async () => {
+    stop();
+    // Let the browser driver end its session before the server closes.
+    for (let wait = 0; webDriverServer.sessionId && wait < 100; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await Promise.all([webDriverServer.close(), hostServer.close()]);
+  });
+
+  return { webDriverServer, browserDriver, baseUrl: directory.baseUrl.toString() };
+}
+
+test('the browser driver opens a page and clicks its run test setup button', async t => {
+  const { webDriverServer, browserDriver, baseUrl } = await startBrowserDriver(t);
+
+  await browserDriver.navigate(`${baseUrl}/reference/button.html`);
+  await browserDriver.documentReady();
+  await browserDriver.clickWhenPresent('.button-run-test-setup', timesOption.testSetup);
+
+  t.is(webDriverServer.page, `${baseUrl}/reference/button.html`);
+  t.deepEqual(
+    webDriverServer.clicked.map(({ tagName, classNames }) => ({ tagName, classNames })),
+    [{ tagName: 'button', classNames: ['button-run-test-setup'] }]
+  );
+  t.deepEqual(
+    webDriverServer.received.map(({ method, path }) => `${method} ${path}`),
+    [
+      'POST /session',
+      'POST /session/mock-session/frame',
+      'POST /session/mock-session/window/minimize',
+      'POST /session/mock-session/window/rect',
+      'POST /session/mock-session/frame',
+      'POST /session/mock-session/url',
+      'POST /session/mock-session/execute/async',
+      'POST /session/mock-session/elements',
+      'POST /session/mock-session/element/mock-element-2/click',
+    ]
+  );
+  t.deepEqual(await browserDriver.getCapabilities(), {
+    browserName: 'firefox',
+    browserVersion: '1.0',
+    webDriverCapabilities: { browserName: 'firefox', browserVersion: '1.0', platformName: 'mock' },
+  });
+});
+
+test('the browser driver fails to click a run test setup button the page lacks', async t => {
+  const { webDriverServer, browserDriver, baseUrl } = await startBrowserDriver(t);
+
+  await browserDriver.navigate(`${baseUrl}/reference/no-setup.html`);
+  await t.throwsAsync(
+    browserDriver.clickWhenPresent('.button-run-test-setup', timesOption.testSetup)
+  );
+  await t.throwsAsync(browserDriver.navigate(`${baseUrl}/reference/missing.html`), {
+    message: /answered 404/,
+  });
+
+  t.deepEqual(webDriverServer.clicked, []);
+});
+
+test('the browser driver requests capabilities and browser options', async t => {
+  const { webDriverServer, browserDriver } = await startBrowserDriver(t, {
+    capabilities: { acceptInsecureCerts: true },
+    browserOptions: {
+      args: ['-headless'],
+      prefs: { 'reader.parse-on-load.enabled': false },
+      windowSize: { width: 1024, height: 768 },
+    },
+  });
+
+  const [{ body }] = webDriverServer.received;
+  t.deepEqual(body.capabilities.alwaysMatch, {
+    acceptInsecureCerts: true,
+    browserName: 'firefox',
+    'moz:firefoxOptions': {
+      args: ['-headless', '--width=1024', '--height=768'],
+      prefs: { 'reader.parse-on-load.enabled': false },
+    },
+  });
+  const { webDriverCapabilities } = await browserDriver.getCapabilities();
+  t.is(webDriverCapabilities.acceptInsecureCerts, true);
+  t.deepEqual(webDriverCapabilities['moz:firefoxOptions'].prefs, {
+    'reader.parse-on-load.enabled': false,
+  });
+});
+
+test('the browser driver drives Edge by its WebDriver browser name', async t => {
+  const { webDriverServer } = await startBrowserDriver(t, {
+    browser: 'edge',
+    browserOptions: { binary: '/opt/microsoft/msedge/msedge' },
+  });
+
+  const [{ body }] = webDriverServer.received;
+  t.deepEqual(body.capabilities.alwaysMatch, {
+    browserName: 'MicrosoftEdge',
+    'ms:edgeOptions': { binary: '/opt/microsoft/msedge/msedge' },
+  });
+});
+
+test('the browser driver runs setup scripts in the page', async t => {
+  const { webDriverServer, browserDriver, baseUrl } = await startBrowserDriver(t);
+  const source = "testPageDocument.querySelector('.submit').focus();";
+
+  await browserDriver.navigate(`${baseUrl}/reference/button.html`);
+  await browserDriver.runSetupScript(source);
+
+  const [{ body }] = webDriverServer.received.filter(
+    ({ path }) => path === '/session/mock-session/execute/sync'
+  );
+  t.deepEqual(body.args, [source]);
+  t.regex(body.script, /new Function\('testPageDocument', setupSource\)/);
+});
+
+test('runs a test with the browser driver against mock servers', async t => {
+  const atDriverServer = new MockATDriverServer({
+    script: {
+      capabilities: { atName: 'NVDA', atVersion: '2024.1', platformName: 'windows' },
+      speechDelay: 5,
+      responses: [
+        { keys: 'insert+space', speech: 'Browse mode' },
+        { keys: 'tab', page: 'button.html', speech: 'Submit button' },
+      ],
+      navigation: [{ page: 'button.html', speech: 'Button example, document' }],
+    },
+  });
+  await atDriverServer.ready;
+  const { webDriverServer, browserDriver, baseUrl } = await startBrowserDriver(t, {
+    atDriverServer,
+  });
+  /** @type {function(): void} */
+  let stop;
+  const abortSignal = new Promise(resolve => (stop = () => resolve()));
+  t.teardown(async () => {
+    stop();
+    await atDriverServer.close();
+  });
+
+  const artifactsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aria-at-artifacts-'));
+  t.teardown(() => fs.rm(artifactsDir, { recursive: true, force: true }));
+
+  const logs = [];
+  const log = (type, more) => logs.push({ type, ...more });
+  const runner = new DriverTestRunner({
+    baseUrl: new URL(baseUrl),
+    log,
+    browserDriver,
+    atDriver: await createATDriver({
+      url: { hostname: 'localhost', port: atDriverServer.port, pathname: '/session' },
+      abortSignal,
+      log,
+    }),
+    timesOption,
+    artifactsDir,
+  });
+
+  const result = await runner.run({
+    info: { testId: 1, title: 'Navigate to a button', task: 'navigate', references: [] },
+    instructions: { user: [], raw: '' },
+    target: {
+      at: { key: 'nvda', raw: 'NVDA', name: 'NVDA' },
+      mode: 'reading',
+      referencePage: 'reference/button.html',
+    },
+    commands: [{ id: 'TAB', keystroke: 'tab', keypresses: [{ id: 'TAB', keystroke: 'tab' }] }],
+    assertions: [{ priority: 1, assertionStatement: 'Role button is conveyed' }],
+  });
+
+  t.is(result.capabilities.browserName, 'firefox');
+  t.is(result.capabilities.webDriverCapabilities.platformName, 'mock');
+  t.deepEqual(
+    result.commands.map(({ command, response }) => ({ command, response })),
+    [{ command: 'TAB', response: 'Submit button' }]
+  );
+  t.is(webDriverServer.clicked.length, 1);
+  t.is(webDriverServer.page, 'about:blank');
+  t.false(logs.some(({ type }) => type === 'noRunTestSetup'));
+  const planDirectory = new URL(baseUrl).pathname.slice(1);
+  t.deepEqual(result.commands[0].artifacts, [
+    { type: 'screenshot', phase: 'setup', path: `${planDirectory}/test-1/01-TAB-setup.png` },
+    { type: 'screenshot', phase: 'command', path: `${planDirectory}/test-1/02-TAB-command.png` },
+  ]);
+  const image = await fs.readFile(
+    path.join(artifactsDir, planDirectory, 'test-1/02-TAB-command.png')
+  );
+  t.is(image.subarray(1, 4).toString(), 'PNG');
+});
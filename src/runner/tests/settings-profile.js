@@ -0,0 +1,111 @@
+import test from 'ava';
+
+import { SettingsProfile, SettingsProfiles } from '../settings-profile.js';
+
+test('built-in profiles cover NVDA and VoiceOver', t => {
+  const profiles = SettingsProfiles.load();
+
+  const nvda = profiles.get('nvda');
+  t.is(nvda.atName, 'NVDA');
+  t.is(nvda.step('BrowseMode').keys.toString(), 'insert + space');
+  t.is(nvda.step('browseMode').speech, 'Browse mode');
+  t.is(nvda.settingForMode('reading'), 'browseMode');
+  t.is(nvda.before.length, 1);
+  t.is(nvda.after.length, 1);
+
+  const voiceOver = profiles.get('VoiceOver');
+  t.is(voiceOver.step('singleQuickKeyNavOn').keys.toString(), 'control + option + q');
+  t.deepEqual(voiceOver.step('defaultMode'), {});
+  t.is(voiceOver.settingForMode('reading'), undefined);
+
+  t.is(profiles.get('JAWS'), undefined);
+});
+
+test('unknown settings are reported against the profile', t => {
+  const profile = new SettingsProfile({ atName: 'NVDA', settings: {} }, 'nvda-extra.json');
+
+  t.throws(() => profile.step('speakAll'), {
+    message: 'Unknown setting "speakAll" in the NVDA settings profile (nvda-extra.json)',
+  });
+});
+
+test('later profiles extend earlier ones for the same AT', t => {
+  const profiles = new SettingsProfiles([
+    new SettingsProfile(
+      {
+        atName: 'NVDA',
+        before: [{ method: 'nvda:settings.setSettings' }],
+        settings: {
+          browseMode: { keys: 'insert+space', speech: 'Browse mode' },
+          focusMode: { keys: 'insert+space', speech: 'Focus mode' },
+        },
+        modes: { reading: 'browseMode' },
+      },
+      'base.json'
+    ),
+    new SettingsProfile(
+      {
+        atName: 'nvda',
+        settings: {
+          BROWSEMODE: { keys: 'insert+space', speech: 'browse mode on' },
+          verbosityAll: {
+            command: {
+              method: 'nvda:settings.setSettings',
+              params: { settings: [{ name: 'speech.symbolLevel', value: 300 }] },
+            },
+          },
+        },
+      },
+      'extra.json'
+    ),
+  ]);
+
+  const nvda = profiles.get('NVDA');
+  t.is(nvda.source, 'base.json, extra.json');
+  t.is(nvda.before.length, 1);
+  t.is(nvda.step('browseMode').speech, 'browse mode on');
+  t.is(nvda.step('focusMode').speech, 'Focus mode');
+  t.is(nvda.step('verbosityAll').command.method, 'nvda:settings.setSettings');
+  t.is(nvda.settingForMode('READING'), 'browseMode');
+});
+
+test('invalid profiles are rejected', t => {
+  // @ts-expect-error atName is required
+  t.throws(() => new SettingsProfile({ settings: {} }, 'a.json'), {
+    message: 'Invalid settings profile (a.json): "atName" must be a non-empty string',
+  });
+  t.throws(
+    () =>
+      new SettingsProfile(
+        { atName: 'NVDA', settings: { browseMode: { keys: 'insert+space' } } },
+        'b.json'
+      ),
+    {
+      message:
+        'Invalid settings profile (b.json): setting "browseMode" must give the "speech" confirming its keys',
+    }
+  );
+  t.throws(
+    () =>
+      new SettingsProfile(
+        { atName: 'NVDA', settings: { browseMode: { keys: 'insert+spacebar', speech: 'x' } } },
+        'c.json'
+      ),
+    {
+      message:
+        'Invalid settings profile (c.json): setting "browseMode" keys: Unknown key: spacebar - should be a single character, or a special key',
+    }
+  );
+  t.throws(
+    () =>
+      new SettingsProfile(
+        // @ts-expect-error key aliases must be key chords
+        { atName: 'NVDA', settings: {}, keyAliases: { NVDA_MOD: { windows: 7 } } },
+        'd.json'
+      ),
+    {
+      message:
+        'Invalid settings profile (d.json): key alias "NVDA_MOD" must be a key chord or an object of key chords by platformName',
+    }
+  );
+});
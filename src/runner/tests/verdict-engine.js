@@ -0,0 +1,117 @@
+import test from 'ava';
+
+import { VerdictEngine } from '../verdict-engine.js';
+
+const assertions = [
+  { expectation: 'Role button', verdict: null },
+  { expectation: 'Name Submit', verdict: null },
+  { expectation: 'State pressed', verdict: null },
+];
+
+test('literal matcher', t => {
+  const engine = new VerdictEngine([
+    { id: 'role', assertion: 'role button', matcher: { type: 'literal', value: 'Button' } },
+  ]);
+  t.deepEqual(engine.evaluate({ command: 'TAB', response: 'Submit button', assertions }), [
+    { expectation: 'Role button', verdict: 'pass', rule: 'role' },
+    { expectation: 'Name Submit', verdict: null },
+    { expectation: 'State pressed', verdict: null },
+  ]);
+  t.is(engine.evaluate({ command: 'TAB', response: 'Submit link', assertions })[0].verdict, 'fail');
+});
+
+test('regex matcher', t => {
+  const engine = new VerdictEngine([
+    { id: 'name', assertion: 'Name Submit', matcher: { type: 'regex', pattern: '^submit\\b' } },
+  ]);
+  t.is(
+    engine.evaluate({ command: 'TAB', response: 'Submit button', assertions })[1].verdict,
+    'pass'
+  );
+  t.is(engine.evaluate({ command: 'TAB', response: 'Resubmit', assertions })[1].verdict, 'fail');
+});
+
+test('tokenSet matcher', t => {
+  const engine = new VerdictEngine([
+    {
+      id: 'state',
+      assertion: 'State pressed',
+      matcher: { type: 'tokenSet', tokens: ['toggle', 'pressed'] },
+    },
+  ]);
+  t.is(
+    engine.evaluate({ command: 'TAB', response: 'Bold, toggle button, pressed', assertions })[2]
+      .verdict,
+    'pass'
+  );
+  t.is(
+    engine.evaluate({ command: 'TAB', response: 'Bold, toggle button, not-pressed', assertions })[2]
+      .verdict,
+    'pass'
+  );
+  t.is(
+    engine.evaluate({ command: 'TAB', response: 'Bold, button, pressed', assertions })[2].verdict,
+    'fail'
+  );
+});
+
+test('negation matcher', t => {
+  const engine = new VerdictEngine([
+    {
+      id: 'not-unpressed',
+      assertion: 'State pressed',
+      matcher: { type: 'negation', matcher: { type: 'literal', value: 'not pressed' } },
+    },
+  ]);
+  t.is(engine.evaluate({ command: 'TAB', response: 'pressed', assertions })[2].verdict, 'pass');
+  t.is(engine.evaluate({ command: 'TAB', response: 'not pressed', assertions })[2].verdict, 'fail');
+});
+
+test('first applicable rule decides', t => {
+  const engine = new VerdictEngine([
+    {
+      id: 'only-space',
+      assertion: 'Role button',
+      command: 'SPACE',
+      matcher: { type: 'literal', value: 'nothing' },
+    },
+    { id: 'any', assertion: 'Role button', matcher: { type: 'literal', value: 'button' } },
+    { id: 'never', assertion: 'Role button', matcher: { type: 'literal', value: 'nothing' } },
+  ]);
+  t.like(engine.evaluate({ command: 'TAB', response: 'button', assertions })[0], {
+    verdict: 'pass',
+    rule: 'any',
+  });
+  t.like(engine.evaluate({ command: 'SPACE', response: 'button', assertions })[0], {
+    verdict: 'fail',
+    rule: 'only-space',
+  });
+});
+
+test('commands without a response keep null verdicts', t => {
+  const engine = new VerdictEngine([
+    { id: 'role', assertion: 'Role button', matcher: { type: 'literal', value: 'button' } },
+  ]);
+  t.deepEqual(engine.evaluate({ command: 'TAB', response: undefined, assertions }), assertions);
+});
+
+test('invalid rules', t => {
+  // @ts-expect-error
+  t.throws(() => new VerdictEngine([{ id: 'a', assertion: 'x' }]), {
+    message: `Verdict rule 'a' must have a "matcher" object.`,
+  });
+  t.throws(
+    // @ts-expect-error
+    () => new VerdictEngine([{ id: 'a', assertion: 'x', matcher: { type: 'fuzzy', value: 'x' } }]),
+    { message: /unknown matcher type 'fuzzy'/ }
+  );
+  t.throws(
+    () =>
+      new VerdictEngine([{ id: 'a', assertion: 'x', matcher: { type: 'regex', pattern: '(' } }]),
+    { message: /regex matcher is invalid/ }
+  );
+  // @ts-expect-error
+  t.throws(() => new VerdictEngine([{ assertion: 'x', matcher: { type: 'literal', value: '' } }]), {
+    message: `Verdict rule #0 must have a string "id".`,
+  });
+});
@@ -9,8 +9,16 @@ declare namespace AriaATCIRunner {
     | 'pressKeys'
     | 'speechEvent'
     | 'noRunTestSetup'
+    | 'runSetup'
+    | 'setupFailed'
     | 'atDriverComms'
-    | 'capabilities';
+    | 'capabilities'
+    | 'atDriverRecovery'
+    | 'speechCollected'
+    | 'keyAliasesExpanded'
+    | 'commandRetry'
+    | 'screenshotFailed'
+    | 'activeElementFailed';
 
   type Log = AriaATCIShared.Log<Message>;
 
@@ -18,11 +26,49 @@ declare namespace AriaATCIRunner {
 
   interface TestRunner {
     run(test: AriaATCIData.Test): Promise<AriaATCIData.TestResultOutput>;
+    /**
+     * Stop the running test once its current command finishes. `run` then
+     * resolves with the commands finished so far and `cancelled` set.
+     */
+    cancel?(): void;
+    /**
+     * What the runner is doing, named when a watchdog deadline passes.
+     */
+    phase?: string;
+    /**
+     * Prepare the runner's sessions for another test plan, served from
+     * `baseUrl`, rejecting when they can no longer be used.
+     */
+    reuse?(options: { baseUrl: URL }): Promise<void>;
   }
 
   type ReportResult = (result: AriaATCIData.TestResult) => Promise<void>;
 
-  type Browser = 'chrome' | 'firefox' | 'safari';
+  type Browser = 'chrome' | 'edge' | 'firefox' | 'safari';
+
+  /**
+   * Options for launching a browser driven with WebDriver.
+   */
+  interface BrowserOptions {
+    /**
+     * Command line arguments of the browser.
+     */
+    args?: string[];
+    /**
+     * Path of the browser's executable.
+     */
+    binary?: string;
+    /**
+     * Preferences, like Firefox's about:config or Chrome's user preferences.
+     */
+    prefs?: Record<string, string | number | boolean>;
+    /**
+     * Path of a profile directory. Firefox copies it for each session, Chrome
+     * and Edge run in it.
+     */
+    profile?: string;
+    windowSize?: { width: number; height: number };
+  }
 
   interface CliOptions {
     debug?: boolean;
@@ -36,9 +82,247 @@ declare namespace AriaATCIRunner {
     timesOption?: AriaATCIShared.TimesOption;
   }
 
+  type VerdictMatcher =
+    | { type: 'literal'; value: string; caseSensitive?: boolean }
+    | { type: 'regex'; pattern: string; flags?: string }
+    | { type: 'tokenSet'; tokens: string[]; caseSensitive?: boolean }
+    | { type: 'negation'; matcher: VerdictMatcher };
+
+  interface VerdictRule {
+    id: string;
+    /**
+     * Expectation or assertion statement the rule applies to. Compared case
+     * and whitespace insensitively.
+     */
+    assertion: string;
+    /**
+     * Limit the rule to the command with this id.
+     */
+    command?: string;
+    matcher: VerdictMatcher;
+  }
+
+  interface AssertionResult {
+    expectation: string;
+    verdict: 'pass' | 'fail' | null;
+    /**
+     * id of the verdict rule that decided the verdict
+     */
+    rule?: string;
+  }
+
+  interface ATCapabilities {
+    atName?: string;
+    atVersion?: string;
+    platformName?: string;
+  }
+
+  /**
+   * Capabilities requested with `session.new`, as in the AT-Driver spec.
+   */
+  interface ATCapabilitiesRequest {
+    alwaysMatch?: ATCapabilities;
+    firstMatch?: ATCapabilities[];
+  }
+
+  interface ATDriverReconnectOptions {
+    /**
+     * Times to try reconnecting after losing the connection. 0 disables
+     * recovery.
+     */
+    attempts: number;
+    /**
+     * Milliseconds to wait before the first attempt, doubled before each
+     * following attempt.
+     */
+    delay: number;
+  }
+
+  /**
+   * What makes a command's keys be pressed again: an empty response, a
+   * response identical to the speech from opening the test page, or an error
+   * from a driver.
+   */
+  type RetryTrigger = 'empty' | 'navigation' | 'error';
+
+  /**
+   * Whether a test run is cancelled.
+   */
+  interface Cancellation {
+    cancelled: boolean;
+  }
+
+  interface RetryPolicy {
+    /**
+     * Most times to run a command, including the first. 1 disables retries.
+     */
+    attempts: number;
+    triggers: RetryTrigger[];
+    /**
+     * Milliseconds to wait before the first retry, doubled before each
+     * following retry.
+     */
+    backoff: number;
+  }
+
+  interface ATDriverCommand {
+    method: string;
+    params?: any;
+  }
+
+  /**
+   * How to apply one setting. Without `command` or `keys` the setting is
+   * considered already in effect.
+   */
+  interface SettingsProfileStep {
+    /**
+     * AT-Driver command that applies the setting, like a vendor
+     * `settings.setSettings` command.
+     */
+    command?: ATDriverCommand;
+    /**
+     * Key chords joined by '+', like 'insert+space', pressed until the AT
+     * speaks `speech`.
+     */
+    keys?: string | string[];
+    speech?: string;
+  }
+
+  interface SettingsProfileData {
+    atName: string;
+    /**
+     * AT-Driver commands sent before applying a group of settings.
+     */
+    before?: ATDriverCommand[];
+    /**
+     * AT-Driver commands sent after applying a group of settings, even if
+     * applying them failed.
+     */
+    after?: ATDriverCommand[];
+    settings: { [name: string]: SettingsProfileStep };
+    /**
+     * v1 test modes, like "reading", mapped to the name of a setting.
+     */
+    modes?: { [mode: string]: string };
+    /**
+     * Alias key names, like "VO", that keypress ids may use in place of the
+     * keys they stand for.
+     */
+    keyAliases?: KeyAliasTable;
+  }
+
+  /**
+   * Alias key names mapped to key chords joined by '+', like
+   * 'control+option', or to an object of such chords keyed by `platformName`
+   * with an optional `default`.
+   */
+  type KeyAliasTable = { [alias: string]: string | { [platformName: string]: string } };
+
+  /**
+   * What an AT adapter may use to drive the AT.
+   */
+  interface ATAdapterContext {
+    atDriver: import('./at-driver.js').ATDriver;
+    log: Log;
+    sendKeys(sequence: import('./at-driver.js').ATKeySequence): Promise<void>;
+    /**
+     * Press `keys` until the AT speaks `speech`, failing after two tries.
+     */
+    toggleSetting(sequence: import('./at-driver.js').ATKeySequence, speech: string): Promise<void>;
+    /**
+     * Parse key chords joined by '+', like 'insert+space'.
+     */
+    parseKeys(keys: string | string[]): import('./at-driver.js').ATKeySequence;
+  }
+
+  /**
+   * Puts one assistive technology, chosen by the `atName` its AT-Driver
+   * session reports, into the state tests ask for.
+   */
+  interface ATAdapter {
+    atName: string;
+    /**
+     * Apply the settings a v2 test command names.
+     */
+    ensureSettings(context: ATAdapterContext, settings: string[]): Promise<void>;
+    /**
+     * Apply a v1 test mode like "reading" or "interaction".
+     */
+    ensureMode(context: ATAdapterContext, mode: string): Promise<void>;
+    /**
+     * Return the AT to a known state before each test.
+     */
+    reset?(context: ATAdapterContext): Promise<void>;
+    /**
+     * Clean up a single utterance before it is collected.
+     */
+    normalizeSpeech?(speech: string): string;
+    /**
+     * Alias key names, like "VO" or "NVDA_MOD", that keypress ids for this AT
+     * may use. They replace the default aliases, like "MOD", of the same name.
+     */
+    keyAliases?(platformName: string): KeyAliasTable;
+  }
+
+  /**
+   * What caused speech: opening a test page, applying settings or modes, or
+   * pressing a command's keys.
+   */
+  type SpeechPhase = 'navigation' | 'settings' | 'command';
+
+  interface SpeechCollection {
+    phase: SpeechPhase;
+    /**
+     * Milliseconds spent collecting after the operation causing speech finished.
+     */
+    duration: number;
+    utterances: number;
+    reason: 'idle' | 'ended' | 'max';
+  }
+
+  interface MockATDriverScript {
+    /**
+     * Capabilities answered to `session.new`.
+     */
+    capabilities?: ATCapabilities;
+    /**
+     * Milliseconds between each scripted utterance. Defaults to 10.
+     */
+    speechDelay?: number;
+    /**
+     * Send an `interaction.speechEnded` event after the last scripted
+     * utterance of each response.
+     */
+    speechEnded?: boolean;
+    responses?: Array<{
+      /**
+       * Key names joined by '+', like 'insert+space'.
+       */
+      keys: string;
+      /**
+       * Only answer when the current page url contains this value.
+       */
+      page?: string;
+      speech?: string | string[];
+      /**
+       * Drop every connection instead of answering.
+       */
+      disconnect?: boolean;
+    }>;
+    /**
+     * Speech spoken when the current page changes to a url containing `page`.
+     */
+    navigation?: Array<{ page: string; speech: string | string[] }>;
+  }
+
   interface BrowserCapabilities {
     browserName: string;
     browserVersion: string;
+    /**
+     * Every capability of the WebDriver session, as the WebDriver server
+     * answered them.
+     */
+    webDriverCapabilities?: Record<string, any>;
   }
 
   interface BrowserDriver {
@@ -47,5 +331,22 @@ declare namespace AriaATCIRunner {
     clickWhenPresent(selector: string, timeout: number): Promise<void>;
     getCapabilities(): Promise<BrowserCapabilities>;
     quit(): Promise<void>;
+    /**
+     * Capture the browser's viewport as a base64 encoded PNG. Drivers that
+     * cannot take screenshots leave this out.
+     */
+    screenshot?(): Promise<string>;
+    /**
+     * Describe the test page's `document.activeElement`. Drivers that cannot
+     * run scripts in the page leave this out.
+     */
+    activeElement?(): Promise<AriaATCIData.ElementSnapshot | null>;
+    /**
+     * Run a setup script's `source` in the test page as the body of a
+     * function whose `testPageDocument` parameter is the page's document,
+     * waiting for a promise it returns. Rejects with any exception it throws.
+     * Drivers that cannot run scripts in the page leave this out.
+     */
+    runSetupScript?(source: string): Promise<void>;
   }
 }
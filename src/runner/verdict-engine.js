@@ -0,0 +1,201 @@
+/**
+ * @module runner
+ */
+
+import * as fs from 'fs';
+
+/**
+ * Decide assertion verdicts from the speech collected for a command.
+ *
+ * Each rule names the assertion it applies to, optionally limits itself to a
+ * single command id, and describes a matcher that is tested against the
+ * command's response. The first rule that applies to an assertion decides its
+ * verdict: `pass` if the matcher matches, `fail` if it does not. Assertions no
+ * rule applies to keep a `null` verdict.
+ */
+export class VerdictEngine {
+  /**
+   * @param {AriaATCIRunner.VerdictRule[]} rules
+   */
+  constructor(rules) {
+    /** @type {AriaATCIRunner.VerdictRule[]} */
+    this.rules = rules.map(validateRule);
+    this._matchers = new Map(this.rules.map(rule => [rule, compileMatcher(rule.matcher)]));
+  }
+
+  /**
+   * @param {string} filepath JSON file with a `rules` array
+   * @returns {VerdictEngine}
+   */
+  static fromFile(filepath) {
+    let rulesFile;
+    try {
+      rulesFile = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    } catch (cause) {
+      throw new Error(`Unable to read verdict rules from '${filepath}'`, { cause });
+    }
+    if (!rulesFile || !Array.isArray(rulesFile.rules)) {
+      throw new Error(`Verdict rules file '${filepath}' must contain a "rules" array.`);
+    }
+    return new VerdictEngine(rulesFile.rules);
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.command id of the command the response was collected for
+   * @param {string} [options.response] speech collected for the command
+   * @param {{expectation: string, verdict: null}[]} options.assertions
+   * @returns {AriaATCIRunner.AssertionResult[]}
+   */
+  evaluate({ command, response, assertions }) {
+    return assertions.map(assertion => {
+      if (typeof response !== 'string') {
+        return assertion;
+      }
+      const rule = this.rules.find(rule => ruleAppliesTo(rule, command, assertion.expectation));
+      if (!rule) {
+        return assertion;
+      }
+      const matches = this._matchers.get(rule)(response);
+      return { ...assertion, verdict: matches ? 'pass' : 'fail', rule: rule.id };
+    });
+  }
+}
+
+/**
+ * @param {AriaATCIRunner.VerdictRule} rule
+ * @param {string} command
+ * @param {string} expectation
+ * @returns {boolean}
+ */
+function ruleAppliesTo(rule, command, expectation) {
+  if (rule.command !== undefined && rule.command !== command) {
+    return false;
+  }
+  return normalizeExpectation(rule.assertion) === normalizeExpectation(expectation);
+}
+
+/**
+ * @param {string} expectation
+ * @returns {string}
+ */
+function normalizeExpectation(expectation = '') {
+  return expectation.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * @param {AriaATCIRunner.VerdictMatcher} matcher
+ * @returns {function(string): boolean}
+ */
+function compileMatcher(matcher) {
+  switch (matcher.type) {
+    case 'literal': {
+      const value = matcher.caseSensitive ? matcher.value : matcher.value.toLowerCase();
+      return response =>
+        (matcher.caseSensitive ? response : response.toLowerCase()).includes(value);
+    }
+    case 'regex': {
+      const pattern = new RegExp(matcher.pattern, matcher.flags ?? 'i');
+      return response => {
+        pattern.lastIndex = 0;
+        return pattern.test(response);
+      };
+    }
+    case 'tokenSet': {
+      const tokens = matcher.tokens.map(token =>
+        matcher.caseSensitive ? token : token.toLowerCase()
+      );
+      return response => {
+        const responseTokens = new Set(
+          tokenize(matcher.caseSensitive ? response : response.toLowerCase())
+        );
+        return tokens.every(token => responseTokens.has(token));
+      };
+    }
+    case 'negation': {
+      const inner = compileMatcher(matcher.matcher);
+      return response => !inner(response);
+    }
+  }
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * @param {*} rule
+ * @param {number} index
+ * @returns {AriaATCIRunner.VerdictRule}
+ */
+function validateRule(rule, index) {
+  const name = rule && typeof rule.id === 'string' ? `'${rule.id}'` : `#${index}`;
+  invariant(
+    typeof rule === 'object' && rule !== null,
+    () => `Verdict rule ${name} is not an object.`
+  );
+  invariant(typeof rule.id === 'string', () => `Verdict rule ${name} must have a string "id".`);
+  invariant(
+    typeof rule.assertion === 'string',
+    () => `Verdict rule ${name} must have a string "assertion".`
+  );
+  invariant(
+    rule.command === undefined || typeof rule.command === 'string',
+    () => `Verdict rule ${name} "command" must be a string when present.`
+  );
+  validateMatcher(rule.matcher, name);
+  return rule;
+}
+
+/**
+ * @param {*} matcher
+ * @param {string} name
+ */
+function validateMatcher(matcher, name) {
+  invariant(
+    typeof matcher === 'object' && matcher !== null,
+    () => `Verdict rule ${name} must have a "matcher" object.`
+  );
+  switch (matcher.type) {
+    case 'literal':
+      invariant(
+        typeof matcher.value === 'string',
+        () => `Verdict rule ${name} literal matcher must have a string "value".`
+      );
+      break;
+    case 'regex':
+      invariant(
+        typeof matcher.pattern === 'string',
+        () => `Verdict rule ${name} regex matcher must have a string "pattern".`
+      );
+      try {
+        new RegExp(matcher.pattern, matcher.flags ?? 'i');
+      } catch (error) {
+        throw new Error(`Verdict rule ${name} regex matcher is invalid: ${error.message}`);
+      }
+      break;
+    case 'tokenSet':
+      invariant(
+        Array.isArray(matcher.tokens) && matcher.tokens.every(token => typeof token === 'string'),
+        () => `Verdict rule ${name} tokenSet matcher must have a "tokens" array of strings.`
+      );
+      break;
+    case 'negation':
+      validateMatcher(matcher.matcher, name);
+      break;
+    default:
+      throw new Error(
+        `Verdict rule ${name} has unknown matcher type '${matcher.type}'. It must be one of: literal, regex, tokenSet, negation`
+      );
+  }
+}
+
+function invariant(condition, message) {
+  if (!condition) {
+    throw new Error(message());
+  }
+}
@@ -0,0 +1,46 @@
+import test from 'ava';
+
+import { WATCHDOG_TIMEOUT, describeWatchdogTimeout, withDeadline } from '../watchdog.js';
+
+const never = new Promise(() => {});
+
+test('withDeadline settles like an operation that finishes in time', async t => {
+  t.is(
+    await withDeadline(Promise.resolve('done'), { timeout: 50, scope: 'call', phase: 'x' }),
+    'done'
+  );
+  await t.throwsAsync(
+    withDeadline(Promise.reject(new Error('failed')), { timeout: 50, scope: 'call', phase: 'x' }),
+    { message: 'failed' }
+  );
+});
+
+test('withDeadline aborts and rejects an operation that takes too long', async t => {
+  let aborted = 0;
+  let phase = 'opening the page';
+  const operation = withDeadline(never, {
+    timeout: 20,
+    scope: 'test',
+    phase: () => phase,
+    onTimeout: () => aborted++,
+  });
+  phase = 'pressing tab';
+
+  const error = await t.throwsAsync(operation, {
+    message: 'The test deadline of 20ms passed during pressing tab',
+  });
+  t.is(aborted, 1);
+  t.deepEqual(describeWatchdogTimeout(/** @type {*} */ (error)), {
+    code: WATCHDOG_TIMEOUT,
+    scope: 'test',
+    phase: 'pressing tab',
+    timeout: 20,
+    message: 'The test deadline of 20ms passed during pressing tab',
+  });
+});
+
+test('withDeadline has no deadline without a timeout', async t => {
+  const slow = new Promise(resolve => setTimeout(() => resolve('slow'), 30));
+  t.is(await withDeadline(slow, { timeout: 0, scope: 'plan', phase: 'x' }), 'slow');
+  t.is(await withDeadline(Promise.resolve(1), { timeout: Infinity, scope: 'plan', phase: 'x' }), 1);
+});
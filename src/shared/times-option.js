@@ -11,6 +11,8 @@ const timesDefaults = {
   testSetup: 1000,
   modeSwitch: 750,
   docReady: 2000,
+  speechIdle: 500,
+  speechMin: 100,
 };
 
 /**
@@ -51,12 +53,12 @@ export const timesOptionsConfig = {};
 addOptionConfig(
   'afterNav',
   'time-after-nav',
-  'Timeout used after navigation to collect and discard speech.'
+  'Longest time to wait after navigation to collect and discard speech.'
 );
 addOptionConfig(
   'afterKeys',
   'time-after-keys',
-  'Timeout used to wait for speech to finish after pressing keys.'
+  'Longest time to wait for speech to finish after pressing keys. A command the AT is silent for waits this long on every attempt.'
 );
 addOptionConfig(
   'testSetup',
@@ -66,9 +68,19 @@ addOptionConfig(
 addOptionConfig(
   'modeSwitch',
   'time-mode-switch',
-  'Timeout used after switching modes to check resulting speech (NVDA).'
+  'Longest time to wait after switching modes to check resulting speech (NVDA).'
 );
 addOptionConfig('docReady', 'time-doc-ready', 'Timeout used waiting for document ready (Safari).');
+addOptionConfig(
+  'speechIdle',
+  'time-speech-idle',
+  'Time without new speech, once speech has started, after which speech collection finishes.'
+);
+addOptionConfig(
+  'speechMin',
+  'time-speech-min',
+  'Shortest time to collect speech for, even if the AT is silent or reports speech ended.'
+);
 
 /**
  * Convert the times dictionary to an array of strings to pass back to args.
@@ -39,13 +39,35 @@ declare namespace AriaATCIShared {
    */
   export type JobWork<T> = (binding: JobBinding<any>) => Promise<T>;
 
+  /**
+   * Which deadline passed: one driver call, one test, or a whole test plan.
+   */
+  export type WatchdogScope = 'call' | 'test' | 'plan';
+
+  /**
+   * What a watchdog timeout error reports besides its message.
+   */
+  export interface WatchdogTimeout {
+    code: 'WATCHDOG_TIMEOUT';
+    scope: WatchdogScope;
+    /**
+     * What was running when the deadline passed, like
+     * "AT-Driver interaction.pressKeys".
+     */
+    phase: string;
+    /**
+     * Milliseconds the deadline allowed.
+     */
+    timeout: number;
+  }
+
   export interface TimesOption {
     /**
-     * Timeout used after navigation to collect and discard speech.
+     * Longest time to wait after navigation to collect and discard speech.
      */
     afterNav: number;
     /**
-     * Timeout used to wait for speech to finish after pressing keys.
+     * Longest time to wait for speech to finish after pressing keys.
      */
     afterKeys: number;
     /**
@@ -53,9 +75,19 @@ declare namespace AriaATCIShared {
      */
     testSetup: number;
     /**
-     * Timeout used after switching modes to check resulting speech (NVDA).
+     * Longest time to wait after switching modes to check resulting speech (NVDA).
      */
     modeSwitch: number;
+    /**
+     * Speech collection finishes once no speech arrives for this long after
+     * the first utterance.
+     */
+    speechIdle: number;
+    /**
+     * Shortest time to collect speech for, even if the AT is silent or reports
+     * that speech ended.
+     */
+    speechMin: number;
     /**
      * docReady Timeout used waiting for document ready (Safari).
      */
@@ -0,0 +1,75 @@
+/**
+ * @module shared
+ */
+
+/**
+ * `code` of errors thrown when a watchdog deadline passes.
+ */
+export const WATCHDOG_TIMEOUT = 'WATCHDOG_TIMEOUT';
+
+/**
+ * Settle like `operation`, unless `timeout` milliseconds pass first. Then call
+ * `onTimeout` to abort the operation and reject with a watchdog timeout error.
+ * The operation is not awaited after its deadline.
+ *
+ * @param {Promise<T>} operation
+ * @param {object} options
+ * @param {number} [options.timeout] milliseconds, no deadline if 0 or not given
+ * @param {AriaATCIShared.WatchdogScope} options.scope
+ * @param {string | function(): string} options.phase what the operation is
+ *   doing, or a function returning it when the deadline passes
+ * @param {function(): void} [options.onTimeout]
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withDeadline(operation, { timeout, scope, phase, onTimeout }) {
+  if (!timeout || timeout === Infinity) {
+    return await operation;
+  }
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = watchdogTimeoutError({
+        scope,
+        phase: typeof phase === 'function' ? phase() : phase,
+        timeout,
+      });
+      onTimeout?.();
+      reject(error);
+    }, Math.max(0, timeout));
+  });
+  try {
+    return await Promise.race([operation, deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {AriaATCIShared.WatchdogScope} options.scope
+ * @param {string} options.phase
+ * @param {number} options.timeout
+ * @returns {Error & AriaATCIShared.WatchdogTimeout}
+ */
+export function watchdogTimeoutError({ scope, phase, timeout }) {
+  return Object.assign(
+    new Error(`The ${scope} deadline of ${timeout}ms passed during ${phase}`),
+    /** @type {AriaATCIShared.WatchdogTimeout} */ ({
+      code: WATCHDOG_TIMEOUT,
+      scope,
+      phase,
+      timeout,
+    })
+  );
+}
+
+/**
+ * The structured form of a watchdog timeout error, for results and callbacks.
+ *
+ * @param {Error & AriaATCIShared.WatchdogTimeout} error
+ * @returns {AriaATCIShared.WatchdogTimeout & {message: string}}
+ */
+export function describeWatchdogTimeout({ code, scope, phase, timeout, message }) {
+  return { code, scope, phase, timeout, message };
+}